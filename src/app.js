@@ -11,6 +11,7 @@ import userRoutes from './modules/auth/user.routes.js';
 import postRoutes from './modules/posts/post.routes.js';
 import friendRoutes from './modules/friends/friend.routes.js';
 import messageRoutes from './modules/messages/message.routes.js';
+import reportRoutes from './modules/reports/report.routes.js';
 import bookRoutes from "./modules/library/book.routes.js";
 import bookRequestRoutes from "./modules/library/bookRequest.routes.js";
 
@@ -21,6 +22,10 @@ import recurringDonationRoutes from "./modules/donations/recurringDonation.route
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy: take req.ip from X-Forwarded-For
+// (login throttling is per IP; without this every client shares the proxy's IP)
+app.set('trust proxy', config.trustProxy);
+
 /**
  * Global Middleware
  */
@@ -48,6 +53,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/friends', friendRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/reports', reportRoutes);
 app.use("/api/books", bookRoutes);
 app.use("/api/book-requests", bookRequestRoutes);
 app.use("/api/campaigns", campaignRoutes);
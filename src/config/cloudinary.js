@@ -34,15 +34,20 @@ const upload = multer({
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only images are allowed'), false);
+      const error = new Error('Only images are allowed');
+      error.statusCode = 400;
+      cb(error, false);
     }
   },
 });
 
 /**
  * Upload to Cloudinary Function
+ * 
+ * Defaults to a square profile picture; pass options to override
+ * (e.g. cover photo: { folder, transformation })
  */
-const uploadToCloudinary = (fileBuffer) => {
+const uploadToCloudinary = (fileBuffer, options = {}) => {
   return new Promise((resolve, reject) => {
     console.log('☁️  Starting Cloudinary upload...');
     console.log('   Cloud name:', config.cloudinary.cloudName);
@@ -56,6 +61,7 @@ const uploadToCloudinary = (fileBuffer) => {
           { width: 500, height: 500, crop: 'fill' },
           { quality: 'auto' },
         ],
+        ...options,
       },
       (error, result) => {
         if (error) {
@@ -73,4 +79,68 @@ const uploadToCloudinary = (fileBuffer) => {
   });
 };
 
-export { cloudinary, upload, uploadToCloudinary };
\ No newline at end of file
+/**
+ * Upload image and resolve the full Cloudinary result
+ * (public_id needed to delete / transform the asset later)
+ */
+const uploadImage = (fileBuffer, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      { resource_type: 'image', ...options },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+
+    uploadStream.end(fileBuffer);
+  });
+};
+
+/**
+ * Delete image from Cloudinary
+ * 
+ * Failure is logged, not thrown: the change is already saved,
+ * an orphaned asset is only a storage cost
+ */
+const destroyImage = async (publicId) => {
+  if (!publicId) return;
+
+  try {
+    await cloudinary.uploader.destroy(publicId);
+  } catch (error) {
+    console.error('❌ Cloudinary delete failed:', publicId, error.message);
+  }
+};
+
+/**
+ * Avatar size variants (delivery URLs, generated on first request)
+ * 
+ * g_face: crop around the face instead of the image centre
+ */
+const AVATAR_SIZES = {
+  thumb: 64,
+  medium: 200,
+  full: 500,
+};
+
+const buildAvatarVariants = (publicId) => {
+  return Object.fromEntries(
+    Object.entries(AVATAR_SIZES).map(([name, size]) => [
+      name,
+      cloudinary.url(publicId, {
+        secure: true,
+        transformation: [
+          { width: size, height: size, crop: 'fill', gravity: 'face' },
+          { quality: 'auto', fetch_format: 'auto' },
+        ],
+      }),
+    ])
+  );
+};
+
+export {
+  cloudinary,
+  upload,
+  uploadToCloudinary,
+  uploadImage,
+  destroyImage,
+  buildAvatarVariants,
+};
\ No newline at end of file
@@ -22,12 +22,18 @@ console.log('🔍 Loading .env from:', envPath);
 
 const result = dotenv.config({ path: envPath });
 
-if (result.error) {
+// No .env file is fine when the variables come from the environment
+// (tests, containers); the required check below still applies
+if (result.error && result.error.code !== 'ENOENT') {
   console.error('❌ Error loading .env file:', result.error);
   throw new Error('Failed to load .env file');
 }
 
-console.log('✅ Environment variables loaded successfully');
+console.log(
+  result.error
+    ? 'ℹ️  No .env file, using process environment'
+    : '✅ Environment variables loaded successfully'
+);
 
 // Validate required variables
 const requiredEnvVars = [
@@ -56,21 +62,83 @@ console.log('✅ All required environment variables present');
 export const config = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Reverse proxies in front of the app (Express "trust proxy"), so req.ip is the
+  // client and not the proxy: "loopback" (default), a hop count like "1", or subnets
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+    ? parseInt(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY || 'loopback',
   mongoUri: process.env.MONGO_URI,
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpire: process.env.JWT_EXPIRE || '7d',
+  jwtExpire: process.env.JWT_EXPIRE || '15m', // Access token (short-lived)
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
   cloudinary: {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME,
     apiKey: process.env.CLOUDINARY_API_KEY,
     apiSecret: process.env.CLOUDINARY_API_SECRET,
   },
+  otp: {
+    expireMinutes: parseInt(process.env.OTP_EXPIRE_MINUTES) || 10,
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+    maxSendsPerHour: parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5,
+  },
+  loginProtection: {
+    maxFailuresPerPhone: parseInt(process.env.LOGIN_MAX_FAILURES_PER_PHONE) || 5,
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+    baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 2,
+  },
+  twoFactor: {
+    // Comma separated roles that must use 2FA, e.g. "manager,admin"
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean),
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Foundation',
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+  },
+  friends: {
+    // Pending requests nobody answered are removed after this
+    requestExpireDays: parseInt(process.env.FRIEND_REQUEST_EXPIRE_DAYS) || 30,
+    // Wait before sending again to someone who rejected you
+    resendCooldownDays: parseInt(process.env.FRIEND_REQUEST_COOLDOWN_DAYS) || 7,
+  },
+  timeline: {
+    // "top" ranking only looks at posts from the last N days
+    topWindowDays: parseInt(process.env.TIMELINE_TOP_WINDOW_DAYS) || 7,
+  },
+  phoneVerification: {
+    // Off by default: existing accounts are not verified yet
+    requiredForBorrow: process.env.REQUIRE_VERIFIED_PHONE_FOR_BORROW === 'true',
+    requiredForRecurring: process.env.REQUIRE_VERIFIED_PHONE_FOR_RECURRING === 'true',
+  },
+  messaging: {
+    // console | file | any driver registered via registerSenderDriver()
+    driver: process.env.MESSAGE_SENDER || 'console',
+    outboxFile: process.env.MESSAGE_OUTBOX_FILE || resolve(__dirname, '../../logs/outbox.log'),
+  },
 };
 
+// Development drivers print / store reset codes in plain text
+// (warning, not an error: no real SMS / email driver ships with the app yet)
+if (config.nodeEnv === 'production' && ['console', 'file'].includes(config.messaging.driver)) {
+  console.warn('⚠️  ─────────────────────────────────────────────────────────────');
+  console.warn(`⚠️  MESSAGE_SENDER "${config.messaging.driver}" is for development only:`);
+  console.warn('⚠️  verification and password reset codes are NOT delivered to users,');
+  console.warn('⚠️  they are written to the server log / outbox file in plain text.');
+  console.warn('⚠️  Register a real driver with registerSenderDriver() (see .env.example).');
+  console.warn('⚠️  ─────────────────────────────────────────────────────────────');
+}
+
 console.log('📋 Config loaded:', {
   port: config.port,
   nodeEnv: config.nodeEnv,
+  trustProxy: config.trustProxy,
   mongoUri: config.mongoUri ? '✅ SET' : '❌ MISSING',
   jwtSecret: config.jwtSecret ? '✅ SET' : '❌ MISSING',
+  messageSender: config.messaging.driver,
   cloudinary: {
     cloudName: config.cloudinary.cloudName || '❌ MISSING',
     apiKey: config.cloudinary.apiKey ? '✅ SET' : '❌ MISSING',
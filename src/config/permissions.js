@@ -0,0 +1,92 @@
+/**
+ * Permission Policy
+ *
+ * Single source of truth for "who can do what"
+ *
+ * How it works:
+ * 1. Every privileged action has a named permission ("resource:action")
+ * 2. Each role gets a list of permissions (ROLE_PERMISSIONS)
+ * 3. Admins can grant extra permissions to individual users
+ *    (User.extraPermissions) without changing their role
+ *
+ * Usage:
+ *   router.patch('/:id/approve', protect, requirePermission('donation:approve'), ...)
+ *   if (hasPermission(req.user, 'post:delete-any')) { ... }
+ */
+
+export const PERMISSIONS = [
+  // Library
+  'book:create',
+  'book:update',
+  'book:delete',
+  'book:review-delete-any',
+  'book-request:manage',
+
+  // Donations
+  'campaign:manage',
+  'donation:read-all',
+  'donation:approve',
+  'donation:analytics',
+  'recurring-donation:read-all',
+
+  // Social
+  'post:delete-any',
+  'post:announce',
+  'message:read-any',
+  'report:moderate',
+
+  // Users
+  'user:manage',
+  'user:unlock',
+  'user:grant-permission',
+];
+
+const LIBRARIAN_PERMISSIONS = [
+  'book:create',
+  'book:update',
+  'book-request:manage',
+];
+
+const MANAGER_PERMISSIONS = [
+  ...LIBRARIAN_PERMISSIONS,
+  'campaign:manage',
+  'donation:read-all',
+  'donation:approve',
+  'donation:analytics',
+  'recurring-donation:read-all',
+  'post:announce',
+  'report:moderate',
+];
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+  librarian: LIBRARIAN_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  admin: PERMISSIONS,
+};
+
+/**
+ * Get all effective permissions of a user (role + extra grants)
+ *
+ * @param {Object} user - { role, extraPermissions }
+ * @returns {string[]}
+ */
+export const getUserPermissions = (user) => {
+  if (!user) return [];
+
+  const fromRole = ROLE_PERMISSIONS[user.role] || [];
+  const extra = user.extraPermissions || [];
+
+  return [...new Set([...fromRole, ...extra])];
+};
+
+/**
+ * Check if user has a permission
+ *
+ * @param {Object} user - { role, extraPermissions }
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+  return getUserPermissions(user).includes(permission);
+};
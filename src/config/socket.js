@@ -1,6 +1,8 @@
 import { Server } from "socket.io";
 import jwt from "jsonwebtoken";
 import User from "../modules/auth/user.model.js";
+import Session from "../modules/auth/session.model.js";
+import Block from "../modules/friends/block.model.js";
 import { config } from "./env.js";
 
 /**
@@ -19,7 +21,7 @@ import { config } from "./env.js";
  */
 
 // Store online users
-// Map<userId, socketId>
+// Map<userId, Set<socketId>> (one user can have several tabs / devices)
 const onlineUsers = new Map();
 
 /**
@@ -58,15 +60,23 @@ export const initializeSocket = (server) => {
       // Verify token
       const decoded = jwt.verify(token, config.jwtSecret);
 
+      // Reject revoked / expired sessions
+      const session = await Session.findActive(decoded.sid, decoded.id);
+
+      if (!session) {
+        return next(new Error("Authentication error: Session revoked"));
+      }
+
       // Get user
       const user = await User.findById(decoded.id);
 
-      if (!user || !user.isActive) {
+      if (!user || (!user.isActive && !(await user.liftExpiredSuspension()))) {
         return next(new Error("Authentication error: Invalid user"));
       }
 
       // Attach user to socket
       socket.userId = user._id.toString();
+      socket.data.sessionId = session._id.toString();
       socket.user = {
         _id: user._id,
         name: user.name,
@@ -92,7 +102,10 @@ export const initializeSocket = (server) => {
   console.log('   Joining room:', userId);
 
   // Add to online users
-  onlineUsers.set(userId, socket.id);
+  if (!onlineUsers.has(userId)) {
+    onlineUsers.set(userId, new Set());
+  }
+  onlineUsers.get(userId).add(socket.id);
 
   // Join user's own room
   socket.join(userId);
@@ -121,6 +134,11 @@ export const initializeSocket = (server) => {
       try {
         const { receiverId, messageId } = data;
 
+        if (await Block.isBlockedBetween(userId, receiverId)) {
+          socket.emit("error", { message: "You cannot message this user" });
+          return;
+        }
+
         console.log("📨 Message sent:", {
           from: socket.user.name,
           to: receiverId,
@@ -215,11 +233,20 @@ export const initializeSocket = (server) => {
     socket.on("disconnect", () => {
       console.log("❌ User disconnected:", socket.user.name);
 
-      // Remove from online users
+      // Remove this socket; user is offline only when the last one closes
+      const sockets = onlineUsers.get(userId);
+      sockets?.delete(socket.id);
+      if (sockets?.size) return;
+
       onlineUsers.delete(userId);
 
+      const lastSeenAt = new Date();
+      User.updateOne({ _id: userId }, { lastSeenAt }).catch((error) =>
+        console.error("Failed to save lastSeenAt:", error.message)
+      );
+
       // Broadcast offline status
-      io.emit("userOffline", { userId });
+      io.emit("userOffline", { userId, lastSeenAt });
     });
   });
 
@@ -247,6 +274,33 @@ export const getIO = () => {
   }
   return ioInstance;
 };
+/**
+ * Disconnect live sockets of revoked sessions
+ *
+ * Handshake only runs once, so a socket opened before logout
+ * would otherwise stay connected.
+ *
+ * @param {string} userId
+ * @param {string} [sessionId] - Omit to disconnect every session of the user
+ */
+export const disconnectSessions = async (userId, sessionId) => {
+  if (!ioInstance) return;
+
+  const sockets = await ioInstance.in(userId.toString()).fetchSockets();
+
+  sockets
+    .filter((s) => !sessionId || s.data.sessionId === sessionId.toString())
+    .forEach((s) => s.disconnect(true));
+};
+
 // Day 5 Library Module এর জন্য
 export const getSocketInstance = () => ioInstance;
-export const getOnlineUsers = () => onlineUsers;
\ No newline at end of file
+export const getOnlineUsers = () => onlineUsers;
+
+/**
+ * Is user connected right now? (any socket)
+ *
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export const isUserOnline = (userId) => onlineUsers.has(userId.toString());
\ No newline at end of file
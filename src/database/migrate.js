@@ -0,0 +1,93 @@
+// Load environment variables FIRST
+import '../config/env.js';
+
+import mongoose from 'mongoose';
+import { config } from '../config/env.js';
+import {
+  getStatus,
+  migrateUp,
+  migrateDown,
+  syncAllIndexes,
+} from './migrator.js';
+
+/**
+ * Migration CLI
+ *
+ * npm run migrate                       → apply pending migrations, then sync indexes
+ * npm run migrate -- --dry-run          → show what would run, change nothing
+ * npm run migrate:status                → applied / pending migrations + index diff
+ * npm run migrate:down                  → revert last migration
+ * npm run migrate:down -- 3             → revert last 3 migrations
+ * npm run migrate:indexes [-- --dry-run] → sync indexes only
+ */
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [command = 'up', arg] = args.filter((a) => a !== '--dry-run');
+
+// ─── Printers ─────────────────────────────────────────────────────────────────
+const printStatus = ({ migrations, missing }) => {
+  console.log('\n📋 Migrations:');
+  if (migrations.length === 0) console.log('   (none)');
+
+  for (const m of migrations) {
+    const state = m.appliedAt ? `✅ applied ${m.appliedAt.toISOString()}` : '⏳ pending';
+    console.log(`   ${m.version}-${m.name}  ${state}`);
+    if (m.description) console.log(`      ${m.description}`);
+  }
+
+  for (const m of missing) {
+    console.log(`   ${m.version}-${m.name}  ⚠️  applied but file is missing`);
+  }
+};
+
+const printIndexReport = (report, applied) => {
+  console.log(`\n📋 Indexes${applied ? '' : ' (not applied)'}:`);
+
+  for (const { model, collection, toCreate, toDrop } of report) {
+    if (toCreate.length === 0 && toDrop.length === 0) {
+      console.log(`   ${model} (${collection}): in sync`);
+      continue;
+    }
+
+    console.log(`   ${model} (${collection}):`);
+    toCreate.forEach((spec) => console.log(`      + ${spec}`));
+    toDrop.forEach((name) => console.log(`      - ${name}`));
+  }
+};
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+const run = async () => {
+  // Indexes are managed here explicitly, not on model compile
+  await mongoose.connect(config.mongoUri, { autoIndex: false });
+  console.log(`✅ Connected to MongoDB: ${mongoose.connection.name}`);
+
+  if (command === 'up') {
+    const done = await migrateUp({ dryRun });
+    console.log(
+      done.length
+        ? `✅ ${dryRun ? 'Would apply' : 'Applied'} ${done.length} migration(s)`
+        : '✅ Nothing to migrate'
+    );
+    printIndexReport(await syncAllIndexes({ dryRun }), !dryRun);
+  } else if (command === 'down') {
+    const done = await migrateDown(parseInt(arg) || 1, { dryRun });
+    console.log(`✅ ${dryRun ? 'Would revert' : 'Reverted'} ${done.length} migration(s)`);
+  } else if (command === 'status') {
+    printStatus(await getStatus());
+    printIndexReport(await syncAllIndexes({ dryRun: true }), false);
+  } else if (command === 'indexes') {
+    printIndexReport(await syncAllIndexes({ dryRun }), !dryRun);
+  } else {
+    throw new Error(`Unknown command: ${command} (use up | down | status | indexes)`);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Migration Schema
+ *
+ * One document per applied migration (collection: "migrations")
+ * - version: numeric prefix of the migration file ("001")
+ * - Removing the document (migrate:down) marks it as not applied
+ */
+const migrationSchema = new mongoose.Schema(
+  {
+    version: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+    },
+
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    durationMs: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    collection: 'migrations',
+  }
+);
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+export default Migration;
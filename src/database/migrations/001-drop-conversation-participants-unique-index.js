@@ -0,0 +1,31 @@
+/**
+ * Replaces the old one-off drop-index.js
+ *
+ * Early versions created a unique index on conversations.participants.
+ * Unique on an array field means a user can only ever have ONE conversation
+ * (every participant value must be unique across documents).
+ * The schema now declares a normal { participants: 1 } index.
+ */
+export const description =
+  'Drop legacy unique participants_1 index on conversations';
+
+export const up = async (db) => {
+  const collections = await db
+    .listCollections({ name: 'conversations' })
+    .toArray();
+  if (collections.length === 0) return;
+
+  const conversations = db.collection('conversations');
+  const indexes = await conversations.indexes();
+  const legacy = indexes.find((index) => index.name === 'participants_1');
+
+  if (legacy?.unique) {
+    await conversations.dropIndex('participants_1');
+    // Non-unique version, same as conversation.model.js
+    await conversations.createIndex({ participants: 1 });
+  }
+};
+
+export const down = async () => {
+  // Intentionally empty: recreating a broken unique index is never wanted
+};
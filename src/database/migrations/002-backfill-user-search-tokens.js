@@ -0,0 +1,41 @@
+import { buildSearchTokens } from '../../modules/auth/user.model.js';
+
+/**
+ * Users created before phonetic search have no searchTokens,
+ * so they are only found by literal text until backfilled.
+ */
+export const description = 'Backfill phonetic search tokens for existing users';
+
+const BATCH_SIZE = 500;
+
+export const up = async (db) => {
+  const users = db.collection('users');
+  const cursor = users.find(
+    { deletedAt: null },
+    { projection: { name: 1, email: 1, bio: 1, area: 1 } }
+  );
+
+  let batch = [];
+
+  for await (const user of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { searchTokens: buildSearchTokens(user) } },
+      },
+    });
+
+    if (batch.length === BATCH_SIZE) {
+      await users.bulkWrite(batch);
+      batch = [];
+    }
+  }
+
+  if (batch.length) {
+    await users.bulkWrite(batch);
+  }
+};
+
+export const down = async (db) => {
+  await db.collection('users').updateMany({}, { $unset: { searchTokens: 1 } });
+};
@@ -0,0 +1,42 @@
+import { buildAvatarVariants } from '../../config/cloudinary.js';
+
+/**
+ * profilePicture used to be a plain URL string.
+ * Now: { url, publicId, variants: { thumb, medium, full } }
+ *
+ * publicId is recovered from Cloudinary URLs
+ * (".../image/upload/v123/foundation/profiles/abc.jpg" → "foundation/profiles/abc")
+ * so old assets get size variants and are cleaned up on replacement.
+ */
+export const description = 'Convert profilePicture URL strings to { url, publicId, variants }';
+
+const CLOUDINARY_PUBLIC_ID = /res\.cloudinary\.com\/.+\/image\/upload\/(?:.+\/)?v\d+\/(.+)\.\w+$/;
+
+export const up = async (db) => {
+  const users = db.collection('users');
+  const cursor = users.find(
+    { profilePicture: { $type: 'string' } },
+    { projection: { profilePicture: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const url = user.profilePicture;
+    const publicId = url.match(CLOUDINARY_PUBLIC_ID)?.[1] || '';
+    const variants = publicId
+      ? buildAvatarVariants(publicId)
+      : { thumb: url, medium: url, full: url };
+
+    await users.updateOne(
+      { _id: user._id },
+      { $set: { profilePicture: { url, publicId, variants } } }
+    );
+  }
+};
+
+export const down = async (db) => {
+  await db
+    .collection('users')
+    .updateMany({ 'profilePicture.url': { $exists: true } }, [
+      { $set: { profilePicture: '$profilePicture.url' } },
+    ]);
+};
@@ -0,0 +1,32 @@
+import { config } from '../../config/env.js';
+
+/**
+ * Pending requests created before expiry existed have no expiresAt,
+ * so the TTL index would never remove them.
+ * Give them createdAt + FRIEND_REQUEST_EXPIRE_DAYS (already stale ones
+ * are removed by the TTL monitor shortly after).
+ *
+ * Rejected requests get respondedAt = updatedAt for the re-send cool-down.
+ */
+export const description = 'Set expiresAt on pending and respondedAt on answered friend requests';
+
+export const up = async (db) => {
+  const friendships = db.collection('friendships');
+  const expireMs = config.friends.requestExpireDays * 24 * 60 * 60 * 1000;
+
+  await friendships.updateMany(
+    { status: 'pending', expiresAt: null },
+    [{ $set: { expiresAt: { $add: ['$createdAt', expireMs] } } }]
+  );
+
+  await friendships.updateMany(
+    { status: { $in: ['accepted', 'rejected'] }, respondedAt: null },
+    [{ $set: { respondedAt: '$updatedAt', expiresAt: null } }]
+  );
+};
+
+export const down = async (db) => {
+  await db
+    .collection('friendships')
+    .updateMany({}, { $unset: { expiresAt: 1, respondedAt: 1 } });
+};
@@ -0,0 +1,31 @@
+/**
+ * Posts created before visibility levels existed:
+ * - with an audience list → "list"
+ * - everything else → "friends" (the timeline was friends-only)
+ */
+export const description = 'Set visibility and isAnnouncement on existing posts';
+
+export const up = async (db) => {
+  const posts = db.collection('posts');
+
+  await posts.updateMany(
+    { visibility: null, audienceList: { $ne: null } },
+    { $set: { visibility: 'list' } }
+  );
+
+  await posts.updateMany(
+    { visibility: null },
+    { $set: { visibility: 'friends', audienceList: null } }
+  );
+
+  await posts.updateMany(
+    { isAnnouncement: null },
+    { $set: { isAnnouncement: false } }
+  );
+};
+
+export const down = async (db) => {
+  await db
+    .collection('posts')
+    .updateMany({}, { $unset: { visibility: 1, isAnnouncement: 1 } });
+};
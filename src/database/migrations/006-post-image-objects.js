@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * Post images used to be Cloudinary URL strings.
+ * Now: [{ url, publicId, width, height }]
+ *
+ * publicId is recovered from Cloudinary URLs so the assets are
+ * deleted with the post. Size is unknown for old images.
+ * Each image gets an _id (used to remove single images).
+ */
+export const description = 'Convert post image URL strings to { url, publicId, width, height }';
+
+const CLOUDINARY_PUBLIC_ID = /res\.cloudinary\.com\/.+\/image\/upload\/(?:.+\/)?v\d+\/(.+)\.\w+$/;
+
+export const up = async (db) => {
+  const posts = db.collection('posts');
+  const cursor = posts.find(
+    { images: { $elemMatch: { $type: 'string' } } },
+    { projection: { images: 1 } }
+  );
+
+  for await (const post of cursor) {
+    const images = post.images.map((image) =>
+      typeof image === 'string'
+        ? {
+            _id: new mongoose.Types.ObjectId(),
+            url: image,
+            publicId: image.match(CLOUDINARY_PUBLIC_ID)?.[1] || '',
+            width: null,
+            height: null,
+          }
+        : image
+    );
+
+    await posts.updateOne({ _id: post._id }, { $set: { images } });
+  }
+};
+
+export const down = async (db) => {
+  await db
+    .collection('posts')
+    .updateMany({ 'images.url': { $exists: true } }, [
+      {
+        $set: {
+          images: { $map: { input: '$images', as: 'image', in: '$$image.url' } },
+        },
+      },
+    ]);
+};
@@ -0,0 +1,82 @@
+/**
+ * Comments used to be embedded in posts (Post.comments).
+ * Move them to the comments collection as top-level comments,
+ * keeping their _id (old comment ids still work for delete),
+ * and store the count on the post.
+ *
+ * down: replies are flattened back into the post's comment list.
+ */
+export const description = 'Move embedded post comments to the comments collection';
+
+export const up = async (db) => {
+  const posts = db.collection('posts');
+  const comments = db.collection('comments');
+
+  const cursor = posts.find(
+    { comments: { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  for await (const post of cursor) {
+    const embedded = post.comments || [];
+
+    if (embedded.length > 0) {
+      // Safe to re-run: existing ids are skipped
+      await comments.bulkWrite(
+        embedded.map((comment) => ({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                post: post._id,
+                user: comment.user,
+                parent: null,
+                text: comment.text,
+                likes: [],
+                replyCount: 0,
+                isEdited: false,
+                editedAt: null,
+                createdAt: comment.createdAt,
+                updatedAt: comment.createdAt,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    await posts.updateOne(
+      { _id: post._id },
+      { $set: { commentCount: embedded.length }, $unset: { comments: 1 } }
+    );
+  }
+};
+
+export const down = async (db) => {
+  const posts = db.collection('posts');
+  const comments = db.collection('comments');
+
+  const cursor = comments.aggregate([
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$post',
+        comments: {
+          $push: { _id: '$_id', user: '$user', text: '$text', createdAt: '$createdAt' },
+        },
+      },
+    },
+  ]);
+
+  for await (const group of cursor) {
+    await posts.updateOne({ _id: group._id }, { $set: { comments: group.comments } });
+  }
+
+  await posts.updateMany(
+    { comments: { $exists: false } },
+    { $set: { comments: [] } }
+  );
+  await posts.updateMany({}, { $unset: { commentCount: 1 } });
+  await comments.deleteMany({});
+};
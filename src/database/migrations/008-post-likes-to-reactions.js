@@ -0,0 +1,76 @@
+/**
+ * Post likes used to be an array of user ids (Post.likes).
+ * Move them to the reactions collection as "like" reactions
+ * and store per-type counts on the post.
+ *
+ * down: every reaction type goes back into likes.
+ */
+export const description = 'Move post likes to the reactions collection';
+
+const REACTION_TYPES = ['like', 'love', 'care', 'dua', 'sad'];
+
+const emptyCounts = () =>
+  Object.fromEntries(REACTION_TYPES.map((type) => [type, 0]));
+
+export const up = async (db) => {
+  const posts = db.collection('posts');
+  const reactions = db.collection('reactions');
+
+  const cursor = posts.find(
+    { likes: { $exists: true } },
+    { projection: { likes: 1, updatedAt: 1 } }
+  );
+
+  for await (const post of cursor) {
+    const likes = post.likes || [];
+
+    if (likes.length > 0) {
+      // Safe to re-run: one reaction per user per post
+      await reactions.bulkWrite(
+        likes.map((user) => ({
+          updateOne: {
+            filter: { post: post._id, user },
+            update: {
+              $setOnInsert: {
+                type: 'like',
+                createdAt: post.updatedAt,
+                updatedAt: post.updatedAt,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    await posts.updateOne(
+      { _id: post._id },
+      {
+        $set: { reactionCounts: { ...emptyCounts(), like: likes.length } },
+        $unset: { likes: 1 },
+      }
+    );
+  }
+
+  await posts.updateMany(
+    { reactionCounts: { $exists: false } },
+    { $set: { reactionCounts: emptyCounts() } }
+  );
+};
+
+export const down = async (db) => {
+  const posts = db.collection('posts');
+  const reactions = db.collection('reactions');
+
+  const cursor = reactions.aggregate([
+    { $group: { _id: '$post', users: { $push: '$user' } } },
+  ]);
+
+  for await (const group of cursor) {
+    await posts.updateOne({ _id: group._id }, { $set: { likes: group.users } });
+  }
+
+  await posts.updateMany({ likes: { $exists: false } }, { $set: { likes: [] } });
+  await posts.updateMany({}, { $unset: { reactionCounts: 1 } });
+  await reactions.deleteMany({});
+};
@@ -0,0 +1,174 @@
+import { readdir } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import mongoose from 'mongoose';
+import Migration from './migration.model.js';
+import { models } from './models.js';
+
+/**
+ * Migration Runner
+ *
+ * Migration file: src/database/migrations/<version>-<name>.js
+ *
+ *   export const description = 'What it does';
+ *   export const up = async (db) => { ... };    // db = native MongoDB Db
+ *   export const down = async (db) => { ... };
+ *
+ * Rules:
+ * - Versions are applied in ascending order, never skipped
+ * - Applied versions are tracked in the "migrations" collection
+ * - up/down must be safe to re-run (check before drop/create)
+ * - dryRun: report what would run, touch nothing
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{3,})-([\w-]+)\.js$/;
+
+// ─── Load Migration Files ─────────────────────────────────────────────────────
+export const loadMigrations = async () => {
+  const files = (await readdir(MIGRATIONS_DIR))
+    .filter((file) => FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_PATTERN);
+    const module = await import(pathToFileURL(join(MIGRATIONS_DIR, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    if (migrations.some((m) => m.version === version)) {
+      throw new Error(`Duplicate migration version: ${version}`);
+    }
+
+    migrations.push({
+      version,
+      name,
+      description: module.description || '',
+      up: module.up,
+      down: module.down,
+    });
+  }
+
+  return migrations;
+};
+
+// ─── Status ───────────────────────────────────────────────────────────────────
+export const getStatus = async () => {
+  const migrations = await loadMigrations();
+  const records = await Migration.find().lean();
+  const byVersion = new Map(records.map((r) => [r.version, r]));
+
+  const status = migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    appliedAt: byVersion.get(migration.version)?.appliedAt || null,
+  }));
+
+  // Applied in DB but file deleted/renamed → needs attention
+  const missing = records
+    .filter((r) => !migrations.some((m) => m.version === r.version))
+    .map((r) => ({ version: r.version, name: r.name, appliedAt: r.appliedAt }));
+
+  return { migrations: status, missing };
+};
+
+// ─── Apply Pending Migrations ─────────────────────────────────────────────────
+export const migrateUp = async ({ dryRun = false } = {}) => {
+  const migrations = await loadMigrations();
+  const applied = new Set(await Migration.distinct('version'));
+  const db = mongoose.connection.db;
+  const done = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    console.log(`⬆️  ${migration.version}-${migration.name}${dryRun ? ' (dry run)' : ''}`);
+
+    if (dryRun) {
+      done.push(migration);
+      continue;
+    }
+
+    const startedAt = Date.now();
+
+    await migration.up(db);
+
+    await Migration.create({
+      version: migration.version,
+      name: migration.name,
+      durationMs: Date.now() - startedAt,
+    });
+
+    done.push(migration);
+  }
+
+  return done;
+};
+
+// ─── Revert Last Applied Migration(s) ─────────────────────────────────────────
+export const migrateDown = async (steps = 1, { dryRun = false } = {}) => {
+  const migrations = await loadMigrations();
+  const applied = await Migration.find().sort({ version: -1 }).limit(steps);
+  const db = mongoose.connection.db;
+  const done = [];
+
+  for (const record of applied) {
+    const migration = migrations.find((m) => m.version === record.version);
+
+    if (!migration) {
+      throw new Error(
+        `Applied migration ${record.version}-${record.name} has no file, cannot revert`
+      );
+    }
+
+    console.log(`⬇️  ${migration.version}-${migration.name}${dryRun ? ' (dry run)' : ''}`);
+
+    if (dryRun) {
+      done.push(migration);
+      continue;
+    }
+
+    await migration.down(db);
+    await record.deleteOne();
+
+    done.push(migration);
+  }
+
+  return done;
+};
+
+// ─── Sync Model Indexes ───────────────────────────────────────────────────────
+/**
+ * Make database indexes match the schemas of all registered models
+ *
+ * - Creates indexes declared in schemas but missing in DB
+ * - Drops indexes in DB that no schema declares
+ *
+ * @returns {Promise<Array<{ model, collection, toCreate, toDrop }>>}
+ */
+export const syncAllIndexes = async ({ dryRun = false } = {}) => {
+  const report = [];
+
+  for (const Model of models) {
+    const { toCreate, toDrop } = await Model.diffIndexes();
+
+    if (!dryRun && (toCreate.length || toDrop.length)) {
+      await Model.syncIndexes();
+    }
+
+    report.push({
+      model: Model.modelName,
+      collection: Model.collection.collectionName,
+      toCreate: toCreate.map((spec) => JSON.stringify(spec)),
+      toDrop,
+    });
+  }
+
+  return report;
+};
@@ -0,0 +1,55 @@
+import User from '../modules/auth/user.model.js';
+import Session from '../modules/auth/session.model.js';
+import Otp from '../modules/auth/otp.model.js';
+import LoginAttempt from '../modules/auth/loginAttempt.model.js';
+import LoginHistory from '../modules/auth/loginHistory.model.js';
+import AuditLog from '../modules/audit/auditLog.model.js';
+import Book from '../modules/library/book.model.js';
+import BookRequest from '../modules/library/bookRequest.model.js';
+import Campaign from '../modules/donations/campaign.model.js';
+import Donation from '../modules/donations/donation.model.js';
+import RecurringDonation from '../modules/donations/recurringDonation.model.js';
+import Conversation from '../modules/messages/conversation.model.js';
+import Message from '../modules/messages/message.model.js';
+import Post from '../modules/posts/post.model.js';
+import Comment from '../modules/posts/comment.model.js';
+import Reaction from '../modules/posts/reaction.model.js';
+import Friendship from '../modules/friends/friendship.model.js';
+import Block from '../modules/friends/block.model.js';
+import Follow from '../modules/friends/follow.model.js';
+import SuggestionDismissal from '../modules/friends/suggestionDismissal.model.js';
+import FriendList from '../modules/friends/friendList.model.js';
+import Report from '../modules/reports/report.model.js';
+import Migration from './migration.model.js';
+
+/**
+ * Model Registry
+ *
+ * Every Mongoose model whose indexes are managed by `npm run migrate`.
+ * Add new models here, otherwise their indexes are never synced.
+ */
+export const models = [
+  User,
+  Session,
+  Otp,
+  LoginAttempt,
+  LoginHistory,
+  AuditLog,
+  Book,
+  BookRequest,
+  Campaign,
+  Donation,
+  RecurringDonation,
+  Conversation,
+  Message,
+  Post,
+  Comment,
+  Reaction,
+  Friendship,
+  Block,
+  Follow,
+  SuggestionDismissal,
+  FriendList,
+  Report,
+  Migration,
+];
@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../modules/auth/user.model.js';
+import Session from '../modules/auth/session.model.js';
+import { hasPermission } from '../config/permissions.js';
+import { config } from '../config/env.js';
 
 /**
  * Protect Routes Middleware
@@ -7,9 +10,10 @@ import User from '../modules/auth/user.model.js';
  * How it works:
  * 1. Extract token from Authorization header
  * 2. Verify token with JWT secret
- * 3. Find user from decoded token
- * 4. Attach user to request object
- * 5. Call next() to proceed
+ * 3. Check the session (sid) has not been revoked
+ * 4. Find user from decoded token
+ * 5. Attach user + session to request object
+ * 6. Call next() to proceed
  * 
  * Usage: router.get('/protected', protect, controller)
  */
@@ -40,7 +44,21 @@ export const protect = async (req, res, next) => {
     // If invalid/expired, will throw error
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // decoded = { id: "userId", iat: timestamp, exp: timestamp }
+    // decoded = { id: "userId", sid: "sessionId", iat: timestamp, exp: timestamp }
+
+    // Check session
+    // Why? Logout / logout-all / reuse detection revoke the session,
+    // access token must stop working immediately
+    const session = await Session.findActive(decoded.sid, decoded.id);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please login again.',
+      });
+    }
+
+    req.session = session;
 
     // Get user from database
     // Why? Token might be valid but user could be deleted
@@ -54,13 +72,28 @@ export const protect = async (req, res, next) => {
     }
 
     // Check if account is active
-    if (!req.user.isActive) {
+    // (timed suspensions are lifted here once expired)
+    if (!req.user.isActive && !(await req.user.liftExpiredSuspension())) {
       return res.status(403).json({
         success: false,
         message: 'Account has been suspended',
       });
     }
 
+    // Mandatory 2FA (config.twoFactor.requiredRoles) not set up yet
+    // Only routes marked with allowTwoFactorSetup are reachable
+    if (
+      config.twoFactor.requiredRoles.includes(req.user.role) &&
+      !req.user.twoFactor?.enabled &&
+      !req.allowTwoFactorSetup
+    ) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be enabled for your role',
+      });
+    }
+
     // User authenticated, proceed to next middleware/controller
     next();
   } catch (error) {
@@ -72,6 +105,19 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Allow route during mandatory 2FA enrollment
+ * 
+ * Place BEFORE protect on routes a user needs to set up 2FA
+ * (2FA setup/enable, /me, logout).
+ * 
+ * Usage: router.post('/2fa/setup', allowTwoFactorSetup, protect, controller)
+ */
+export const allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
 /**
  * Role-based Authorization Middleware
  * 
@@ -101,4 +147,32 @@ export const authorize = (...roles) => {
 
     next();
   };
-};
\ No newline at end of file
+};
+/**
+ * Permission-based Authorization Middleware
+ * 
+ * Preferred over authorize(): routes name the action,
+ * config/permissions.js decides which roles (or users) may do it.
+ * 
+ * Usage: router.delete('/books/:id', protect, requirePermission('book:delete'), controller)
+ * 
+ * @param {...string} permissions - Required permissions (ALL must be held)
+ * @returns {Function} - Express middleware function
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    // IMPORTANT: requirePermission must come AFTER protect
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user, permission)
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${missing.join(', ')}`,
+      });
+    }
+
+    next();
+  };
+};
@@ -40,6 +40,16 @@ const errorHandler = (err, req, res, next) => {
     message = `Invalid ${err.path}: ${err.value}`;
   }
 
+  // Multer upload errors
+  // Example: File too large, too many files
+  if (err.name === 'MulterError') {
+    statusCode = 400;
+    message =
+      err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Unexpected file field or too many files: ${err.field}`
+        : err.message;
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     statusCode = 401;
@@ -51,6 +61,11 @@ const errorHandler = (err, req, res, next) => {
     message = 'Token expired';
   }
 
+  // Rate limited / locked: tell client when to retry
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Send response
   res.status(statusCode).json({
     success: false,
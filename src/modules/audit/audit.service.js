@@ -0,0 +1,65 @@
+import AuditLog from './auditLog.model.js';
+
+/**
+ * Audit Service Layer
+ *
+ * Usage:
+ *   await auditService.record({
+ *     actor: req.user._id,
+ *     action: 'user.role_changed',
+ *     targetModel: 'User',
+ *     target: userId,
+ *     before: { role: 'user' },
+ *     after: { role: 'manager' },
+ *     reason,
+ *   });
+ */
+
+class AuditService {
+  /**
+   * Record an audit entry
+   *
+   * @param {Object} entry - AuditLog fields
+   * @returns {Promise<Object>}
+   */
+  async record(entry) {
+    return AuditLog.create(entry);
+  }
+
+  /**
+   * Get audit trail
+   *
+   * @param {Object} filter - { targetModel, target, actor, action }
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getLogs(filter = {}, page = 1, limit = 20) {
+    const query = {};
+    if (filter.targetModel) query.targetModel = filter.targetModel;
+    if (filter.target) query.target = filter.target;
+    if (filter.actor) query.actor = filter.actor;
+    if (filter.action) query.action = filter.action;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name role')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      AuditLog.countDocuments(query),
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+export default new AuditService();
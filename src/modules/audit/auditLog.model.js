@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit Log Schema
+ *
+ * Append-only record of privileged actions
+ * (role changes, suspensions, deletions, ...)
+ *
+ * Design:
+ * - actor: who did it (null = system, e.g. automatic suspension expiry)
+ * - target: what it was done to (targetModel + target id)
+ * - before/after: only the fields that changed
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    action: {
+      type: String,
+      required: [true, 'Audit action is required'],
+      trim: true,
+      // e.g. 'user.role_changed', 'user.suspended'
+    },
+
+    targetModel: {
+      type: String,
+      required: true,
+      enum: ['User'],
+    },
+
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: 'targetModel',
+    },
+
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: '',
+    },
+
+    ip: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Indexes
+ * - target history (newest first)
+ * - actor history
+ * - action filter
+ */
+auditLogSchema.index({ targetModel: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,52 @@
+import accountService from './account.service.js';
+
+/**
+ * Account Controller (self-service export & deletion)
+ */
+
+class AccountController {
+  /**
+   * @desc    Download all personal data as JSON
+   * @route   GET /api/users/me/export
+   * @access  Private
+   */
+  async exportData(req, res, next) {
+    try {
+      const data = await accountService.exportData(req.user._id);
+
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="foundation-data-${req.user._id}.json"`
+      );
+
+      res.status(200).json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete (anonymise) own account
+   * @route   DELETE /api/users/me
+   * @access  Private
+   */
+  async deleteAccount(req, res, next) {
+    try {
+      await accountService.deleteAccount(req.user._id, req.body || {}, {
+        ip: req.ip,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Your account has been deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new AccountController();
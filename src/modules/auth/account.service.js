@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from './user.model.js';
+import Session from './session.model.js';
+import Otp from './otp.model.js';
+import LoginHistory from './loginHistory.model.js';
+import authService from './auth.service.js';
+import twoFactorService from './twoFactor.service.js';
+import auditService from '../audit/audit.service.js';
+import Post from '../posts/post.model.js';
+import Comment from '../posts/comment.model.js';
+import commentService from '../posts/comment.service.js';
+import Reaction from '../posts/reaction.model.js';
+import reactionService from '../posts/reaction.service.js';
+import Friendship from '../friends/friendship.model.js';
+import Block from '../friends/block.model.js';
+import Follow from '../friends/follow.model.js';
+import SuggestionDismissal from '../friends/suggestionDismissal.model.js';
+import FriendList from '../friends/friendList.model.js';
+import Message from '../messages/message.model.js';
+import Report from '../reports/report.model.js';
+import BookRequest from '../library/bookRequest.model.js';
+import Book from '../library/book.model.js';
+import Donation from '../donations/donation.model.js';
+import RecurringDonation from '../donations/recurringDonation.model.js';
+import { cancelRequest } from '../library/bookRequest.service.js';
+
+/**
+ * Account Service Layer (self-service)
+ * 
+ * - Export: everything we hold about the member, as one JSON bundle
+ * - Delete: anonymise the member
+ *   → personal data & social content removed
+ *   → donation / library records kept for accounting, but de-identified
+ */
+
+export const DELETED_USER_NAME = 'Deleted User';
+
+class AccountService {
+  /**
+   * Build personal data export
+   * 
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async exportData(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const [
+      posts,
+      comments,
+      reactions,
+      messages,
+      friendships,
+      blocks,
+      following,
+      bookRequests,
+      reviewedBooks,
+      donations,
+      recurringDonations,
+      sessions,
+      loginHistory,
+      reports,
+    ] = await Promise.all([
+      Post.find({ author: userId }).lean(),
+      Comment.find({ user: userId })
+        .select('post parent text isEdited editedAt createdAt')
+        .sort({ createdAt: 1 })
+        .lean(),
+      Reaction.find({ user: userId }).select('post type createdAt').lean(),
+      Message.find({ $or: [{ sender: userId }, { receiver: userId }] })
+        .select('conversation sender receiver content isRead readAt isEdited isDeleted deleteType createdAt')
+        .sort({ createdAt: 1 })
+        .lean(),
+      Friendship.find({ $or: [{ requester: userId }, { recipient: userId }] })
+        .populate('requester', 'name')
+        .populate('recipient', 'name')
+        .lean(),
+      Block.find({ user: userId }).populate('target', 'name').lean(),
+      Follow.find({ follower: userId }).populate('following', 'name').lean(),
+      BookRequest.find({ user: userId }).populate('book', 'title author').lean(),
+      Book.find({ 'reviews.user': userId }).select('title reviews').lean(),
+      Donation.find({ donor: userId }).populate('campaign', 'title').lean(),
+      RecurringDonation.find({ donor: userId }).populate('campaign', 'title').lean(),
+      Session.find({ user: userId }).select('ip userAgent createdAt lastUsedAt revokedAt').lean(),
+      LoginHistory.find({ user: userId }).lean(),
+      Report.find({ reporter: userId })
+        .select('targetType target reason details status createdAt')
+        .lean(),
+    ]);
+
+    // Deleted for everyone: content is gone for both sides, as in the chat
+    const visibleMessages = messages.map((message) =>
+      message.isDeleted && message.deleteType === 'for_everyone'
+        ? { ...message, content: '🚫 This message was deleted' }
+        : message
+    );
+
+    // Only the member's own reviews, not the whole book
+    const reviews = reviewedBooks.flatMap((book) =>
+      book.reviews
+        .filter((r) => r.user.toString() === userId.toString())
+        .map((r) => ({ book: { _id: book._id, title: book.title }, ...r }))
+    );
+
+    return {
+      exportedAt: new Date(),
+      profile: user.getPublicProfile(),
+      posts,
+      comments,
+      reactions,
+      messages: visibleMessages,
+      friendships,
+      blocks,
+      following,
+      bookRequests,
+      reviews,
+      donations,
+      recurringDonations,
+      sessions,
+      loginHistory,
+      reports,
+    };
+  }
+
+  /**
+   * Delete (anonymise) own account
+   * 
+   * Removed:
+   * - Profile data (name → tombstone, phone/email freed, picture, bio, extended profile)
+   * - Posts, comments, reactions, friendships, follows, blocks / mutes, sessions, OTPs
+   *   (replies others left under the member's comments go with the thread)
+   * - Message contents (shown as deleted to the other side)
+   * 
+   * Kept (de-identified):
+   * - Donations & recurring donations (accounting)
+   * - Book requests & reviews (library records)
+   * 
+   * @param {string} userId
+   * @param {Object} data - { password, code } (code required if 2FA enabled)
+   * @param {Object} meta - { ip }
+   * @returns {Promise<void>}
+   */
+  async deleteAccount(userId, { password, code } = {}, meta = {}) {
+    const user = await twoFactorService.getUserWithSecrets(userId);
+
+    // Same brute-force protection as disabling 2FA (stolen access token)
+    await twoFactorService.withAttemptLimit(user._id, async () => {
+      if (!password || !(await user.matchPassword(password))) {
+        const error = new Error('Password is incorrect');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      if (user.twoFactor.enabled && !(await twoFactorService.verifyCode(user, code))) {
+        const error = new Error('Invalid authentication code');
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    if (user.role === 'admin') {
+      const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+      if (activeAdmins <= 1) {
+        const error = new Error('The last active admin cannot delete their account');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    // Stop everything in progress first
+    await authService.logoutAll(user._id);
+
+    const openRequests = await BookRequest.find({
+      user: user._id,
+      status: { $in: ['pending', 'waitlisted'] },
+    }).select('_id');
+
+    for (const request of openRequests) {
+      await cancelRequest(user._id, request._id);
+    }
+
+    await RecurringDonation.updateMany(
+      { donor: user._id, status: { $ne: 'cancelled' } },
+      { status: 'cancelled' }
+    );
+
+    // Donations: keep amounts, drop identity
+    await Donation.updateMany(
+      { donor: user._id },
+      {
+        isAnonymous: true,
+        guestDonorInfo: { name: DELETED_USER_NAME, email: '', phone: '' },
+        message: '',
+      }
+    );
+
+    // Social content
+    const ownPosts = await Post.find({ author: user._id }).select('images');
+    const postImages = ownPosts.flatMap((post) => post.images);
+
+    await commentService.removeUserComments(user._id);
+    await reactionService.removeUserReactions(user._id);
+
+    await Promise.all([
+      Post.deleteMany({ author: user._id }),
+      Comment.deleteMany({ post: { $in: ownPosts.map((post) => post._id) } }),
+      Reaction.deleteMany({ post: { $in: ownPosts.map((post) => post._id) } }),
+      Friendship.deleteMany({
+        $or: [{ requester: user._id }, { recipient: user._id }],
+      }),
+      Block.deleteMany({ $or: [{ user: user._id }, { target: user._id }] }),
+      Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] }),
+      SuggestionDismissal.deleteMany({ $or: [{ user: user._id }, { dismissed: user._id }] }),
+      FriendList.deleteMany({ owner: user._id }),
+      FriendList.updateMany({ members: user._id }, { $pull: { members: user._id } }),
+      // Reports against them stay for the moderation record
+      Report.deleteMany({ reporter: user._id }),
+      Message.updateMany(
+        { sender: user._id },
+        {
+          content: '[deleted]',
+          editHistory: [],
+          isDeleted: true,
+          deleteType: 'for_everyone',
+          deletedBy: user._id,
+          deletedAt: new Date(),
+        }
+      ),
+      Book.updateMany(
+        { 'reviews.user': user._id },
+        { $set: { 'reviews.$[review].comment': '' } },
+        { arrayFilters: [{ 'review.user': user._id }] }
+      ),
+      Otp.deleteMany({ user: user._id }),
+      LoginHistory.deleteMany({ user: user._id }),
+    ]);
+
+    // Profile → tombstone
+    // updateOne skips validators: phone tombstone doesn't match BD format on purpose
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          name: DELETED_USER_NAME,
+          phone: `deleted-${user._id}`,
+          password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+          profilePicture: { url: '', publicId: '', variants: {} },
+          coverPhoto: '',
+          bio: '',
+          address: '',
+          area: '',
+          occupation: '',
+          bloodGroup: '',
+          socialLinks: {},
+          volunteerSkills: [],
+          searchTokens: [],
+          isActive: false,
+          isPhoneVerified: false,
+          extraPermissions: [],
+          deletedAt: new Date(),
+          'twoFactor.enabled': false,
+        },
+        $unset: {
+          email: 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+        },
+      }
+    );
+
+    await authService.destroyImage(user.profilePicture?.publicId);
+    await Promise.all(postImages.map((image) => authService.destroyImage(image.publicId)));
+
+    await auditService.record({
+      actor: user._id,
+      action: 'user.self_deleted',
+      targetModel: 'User',
+      target: user._id,
+      ip: meta.ip,
+    });
+  }
+}
+
+export default new AccountService();
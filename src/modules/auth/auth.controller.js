@@ -1,5 +1,7 @@
 import authService from './auth.service.js';
+import twoFactorService from './twoFactor.service.js';
 import { uploadToCloudinary } from '../../config/cloudinary.js';
+import { hasPermission } from '../../config/permissions.js';
 
 /**
  * Auth Controller
@@ -21,7 +23,10 @@ class AuthController {
    */
   async register(req, res, next) {
     try {
-      const result = await authService.register(req.body);
+      const result = await authService.register(req.body, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
 
       res.status(201).json({
         success: true,
@@ -43,7 +48,36 @@ class AuthController {
     try {
       const { phone, password } = req.body;
       
-      const result = await authService.login(phone, password);
+      const result = await authService.login(phone, password, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired
+          ? 'Two-factor authentication code required'
+          : 'Login successful',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Complete login with 2FA code
+   * @route   POST /api/auth/2fa/verify
+   * @access  Public (challenge token)
+   */
+  async verifyTwoFactorLogin(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const result = await authService.completeTwoFactorLogin(challengeToken, code, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
 
       res.status(200).json({
         success: true,
@@ -55,6 +89,268 @@ class AuthController {
     }
   }
 
+  /**
+   * @desc    Start 2FA enrollment (returns QR provisioning URI)
+   * @route   POST /api/auth/2fa/setup
+   * @access  Private
+   */
+  async setupTwoFactor(req, res, next) {
+    try {
+      const result = await twoFactorService.setup(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Confirm 2FA enrollment
+   * @route   POST /api/auth/2fa/enable
+   * @access  Private
+   */
+  async enableTwoFactor(req, res, next) {
+    try {
+      const result = await twoFactorService.enable(req.user._id, req.body.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes safely.',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Disable 2FA
+   * @route   POST /api/auth/2fa/disable
+   * @access  Private
+   */
+  async disableTwoFactor(req, res, next) {
+    try {
+      const { password, code } = req.body;
+
+      await twoFactorService.disable(req.user._id, password, code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Regenerate 2FA recovery codes
+   * @route   POST /api/auth/2fa/recovery-codes
+   * @access  Private
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const result = await twoFactorService.regenerateRecoveryCodes(
+        req.user._id,
+        req.body.code
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'New recovery codes generated. Old codes no longer work.',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get new access token using refresh token (rotates refresh token)
+   * @route   POST /api/auth/refresh
+   * @access  Public
+   */
+  async refresh(req, res, next) {
+    try {
+      const result = await authService.refreshTokens(req.body.refreshToken, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Logout current session
+   * @route   POST /api/auth/logout
+   * @access  Private
+   */
+  async logout(req, res, next) {
+    try {
+      await authService.logout(req.user._id, req.session._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Logged out successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Logout from all devices
+   * @route   POST /api/auth/logout-all
+   * @access  Private
+   */
+  async logoutAll(req, res, next) {
+    try {
+      const count = await authService.logoutAll(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: `Logged out from ${count} session(s)`,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Verify phone number with OTP
+   * @route   POST /api/auth/verify-phone
+   * @access  Private
+   */
+  async verifyPhone(req, res, next) {
+    try {
+      const user = await authService.verifyPhone(req.user._id, req.body.otp);
+
+      res.status(200).json({
+        success: true,
+        message: 'Phone number verified successfully',
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Resend phone verification OTP
+   * @route   POST /api/auth/resend-otp
+   * @access  Private
+   */
+  async resendPhoneOtp(req, res, next) {
+    try {
+      await authService.resendPhoneOtp(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Verification code sent',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Change password (logs out all other devices)
+   * @route   PUT /api/auth/password
+   * @access  Private
+   */
+  async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const tokens = await authService.changePassword(
+        req.user._id,
+        currentPassword,
+        newPassword,
+        { ip: req.ip, userAgent: req.get('user-agent') }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed successfully',
+        data: tokens,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Request password reset code
+   * @route   POST /api/auth/forgot-password
+   * @access  Public
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { phone, channel } = req.body;
+
+      await authService.forgotPassword(phone, channel);
+
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this phone, a reset code has been sent',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reset password with code
+   * @route   POST /api/auth/reset-password
+   * @access  Public
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { phone, otp, newPassword } = req.body;
+
+      await authService.resetPassword(phone, otp, newPassword, {
+        ip: req.ip,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please login with your new password.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get active sessions and login history
+   * @route   GET /api/auth/me/sessions
+   * @access  Private
+   */
+  async getSessions(req, res, next) {
+    try {
+      const result = await authService.getSessions(req.user._id, req.session._id);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Get current logged in user
    * @route   GET /api/auth/me
@@ -81,7 +377,7 @@ class AuthController {
  */
 async getUserProfile(req, res, next) {
   try {
-    const user = await authService.getUserProfile(req.params.id);
+    const user = await authService.getUserProfile(req.params.id, req.user);
 
     res.status(200).json({
       success: true,
@@ -99,7 +395,7 @@ async getUserProfile(req, res, next) {
  */
 async getAllUsers(req, res, next) {
   try {
-    const users = await authService.getAllUsers(req.user._id);
+    const users = await authService.getAllUsers(req.user);
 
     res.status(200).json({
       success: true,
@@ -156,15 +452,10 @@ async uploadProfilePicture(req, res, next) {
     console.log('📁 File received:', req.file.originalname);
     console.log('📊 File size:', req.file.size);
 
-    // Upload to Cloudinary
-    console.log('☁️  Uploading to Cloudinary...');
-    const imageUrl = await uploadToCloudinary(req.file.buffer);
-    console.log('✅ Upload successful:', imageUrl);
-
-    // Update user profile
+    // Upload to Cloudinary + replace old picture
     const user = await authService.updateProfilePicture(
       req.user._id,
-      imageUrl
+      req.file.buffer
     );
 
     res.status(200).json({
@@ -178,9 +469,94 @@ async uploadProfilePicture(req, res, next) {
   }
 }
 
+/**
+ * @desc    Remove profile picture
+ * @route   DELETE /api/users/:id/profile-picture
+ * @access  Private (own profile, or user:manage for moderation)
+ */
+async removeProfilePicture(req, res, next) {
+  try {
+    if (
+      req.params.id !== req.user._id.toString() &&
+      !hasPermission(req.user, 'user:manage')
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only remove your own profile picture',
+      });
+    }
+
+    const user = await authService.removeProfilePicture(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile picture removed successfully',
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @desc    Upload cover photo
+ * @route   POST /api/users/upload-cover
+ * @access  Private
+ */
+async uploadCoverPhoto(req, res, next) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image',
+      });
+    }
+
+    const imageUrl = await uploadToCloudinary(req.file.buffer, {
+      folder: 'foundation/covers',
+      transformation: [
+        { width: 1500, height: 500, crop: 'fill' },
+        { quality: 'auto' },
+      ],
+    });
+
+    const user = await authService.updateCoverPhoto(req.user._id, imageUrl);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cover photo updated successfully',
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @desc    Unlock user's login after too many failed attempts
+ * @route   PATCH /api/users/:id/unlock
+ * @access  Private (user:unlock)
+ */
+async unlockUser(req, res, next) {
+  try {
+    const user = await authService.unlockLogin(req.params.id, req.body?.ip, {
+      _id: req.user._id,
+      ip: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User login unlocked',
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * @desc    Search users
- * @route   GET /api/users/search?q=name
+ * @route   GET /api/users/search?q=name&role=librarian&page=1&limit=20
  * @access  Private
  */
 async searchUsers(req, res, next) {
@@ -194,12 +570,13 @@ async searchUsers(req, res, next) {
       });
     }
 
-    const users = await authService.searchUsers(q, req.user._id);
+    const { users, pagination } = await authService.searchUsers(req.query, req.user);
 
     res.status(200).json({
       success: true,
       count: users.length,
       data: users,
+      pagination,
     });
   } catch (error) {
     next(error);
@@ -1,6 +1,6 @@
 import express from 'express';
 import authController from './auth.controller.js';
-import { protect } from '../../middleware/auth.middleware.js';
+import { protect, allowTwoFactorSetup } from '../../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -10,13 +10,30 @@ const router = express.Router();
  */
 router.post('/register', authController.register.bind(authController));
 router.post('/login', authController.login.bind(authController));
+router.post('/2fa/verify', authController.verifyTwoFactorLogin.bind(authController));
+router.post('/refresh', authController.refresh.bind(authController));
+router.post('/forgot-password', authController.forgotPassword.bind(authController));
+router.post('/reset-password', authController.resetPassword.bind(authController));
 
 /**
  * Protected Routes
  * - Require valid JWT token
+ * - allowTwoFactorSetup: reachable while mandatory 2FA is not set up yet
  */
-router.get('/me', protect, authController.getMe.bind(authController));
+router.get('/me', allowTwoFactorSetup, protect, authController.getMe.bind(authController));
+router.get('/me/sessions', protect, authController.getSessions.bind(authController));
+router.post('/logout', allowTwoFactorSetup, protect, authController.logout.bind(authController));
+router.post('/logout-all', allowTwoFactorSetup, protect, authController.logoutAll.bind(authController));
+router.put('/password', protect, authController.changePassword.bind(authController));
+router.post('/verify-phone', protect, authController.verifyPhone.bind(authController));
+router.post('/resend-otp', protect, authController.resendPhoneOtp.bind(authController));
 
+// Two-factor authentication
+router.post('/2fa/setup', allowTwoFactorSetup, protect, authController.setupTwoFactor.bind(authController));
+router.post('/2fa/enable', allowTwoFactorSetup, protect, authController.enableTwoFactor.bind(authController));
+router.post('/2fa/disable', protect, authController.disableTwoFactor.bind(authController));
+router.post('/2fa/recovery-codes', protect, authController.regenerateRecoveryCodes.bind(authController));
 
 
-export default router;
\ No newline at end of file
+
+export default router;
@@ -1,5 +1,21 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import User from './user.model.js';
+import mongoose from 'mongoose';
+import User, { PRIVATE_FIELD_DEFAULTS } from './user.model.js';
+import Session from './session.model.js';
+import Otp from './otp.model.js';
+import LoginAttempt from './loginAttempt.model.js';
+import LoginHistory from './loginHistory.model.js';
+import Friendship from '../friends/friendship.model.js';
+import Block from '../friends/block.model.js';
+import followService from '../friends/follow.service.js';
+import { config } from '../../config/env.js';
+import { uploadImage, destroyImage, buildAvatarVariants } from '../../config/cloudinary.js';
+import { disconnectSessions } from '../../config/socket.js';
+import { sendMessage } from '../../utils/messageSender.js';
+import auditService from '../audit/audit.service.js';
+import twoFactorService from './twoFactor.service.js';
+import { phoneticKeys } from '../../utils/transliterate.js';
 
 /**
  * Auth Service Layer
@@ -13,34 +29,100 @@ import User from './user.model.js';
  * Pattern: Controller → Service → Model → Database
  */
 
+// Refresh token reuse detection: rotated-out tokens remembered per session
+// (older ones are only rejected as invalid, without revoking the session)
+const ROTATED_HASHES_KEPT = 20;
+
+// User search: max candidates ranked per query, and field weights
+const SEARCH_CANDIDATE_LIMIT = 200;
+const SEARCH_WEIGHTS = { name: 10, area: 4, email: 3, phone: 3, bio: 1 };
+
 class AuthService {
   /**
-   * Generate JWT Token
+   * Generate JWT Access Token
    * 
    * @param {string} userId - MongoDB ObjectId
+   * @param {string} sessionId - Session the token belongs to
    * @returns {string} - JWT token
    * 
-   * Why separate method?
-   * - Used in register AND login
-   * - DRY principle (Don't Repeat Yourself)
+   * Why sid in payload?
+   * - Access token is short-lived, but still needs to die on logout
+   * - protect middleware checks the session is not revoked
    */
-  generateToken(userId) {
+  generateToken(userId, sessionId) {
     return jwt.sign(
-      { id: userId }, // Payload
-      process.env.JWT_SECRET, // Secret key
-      { expiresIn: process.env.JWT_EXPIRE } // Options
+      { id: userId, sid: sessionId }, // Payload
+      config.jwtSecret, // Secret key
+      { expiresIn: config.jwtExpire } // Options
     );
   }
 
+  /**
+   * Hash a refresh token
+   * 
+   * Why hash?
+   * - Refresh tokens are long-lived credentials
+   * - A database leak must not leak usable tokens
+   * 
+   * @param {string} token
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Build a new refresh token for a session
+   * 
+   * Format: <sessionId>.<random secret>
+   * - sessionId lets us find the session without scanning
+   * - secret is what actually proves possession
+   * 
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  buildRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+  }
+
+  /**
+   * Create a new session and issue access + refresh tokens
+   * 
+   * @param {string} userId
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} - { token, refreshToken }
+   */
+  async createSession(userId, meta = {}) {
+    const sessionId = new Session()._id;
+    const refreshToken = this.buildRefreshToken(sessionId);
+
+    await Session.create({
+      _id: sessionId,
+      user: userId,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: new Date(
+        Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000
+      ),
+      ip: meta.ip || '',
+      userAgent: meta.userAgent || '',
+    });
+
+    return {
+      token: this.generateToken(userId, sessionId),
+      refreshToken,
+    };
+  }
+
   /**
    * Register new user
    * 
    * @param {Object} userData - User registration data
-   * @returns {Promise<Object>} - User data with token
+   * @param {Object} meta - { ip, userAgent } of the request
+   * @returns {Promise<Object>} - User data with tokens
    * @throws {Error} - If user already exists or validation fails
    */
-  async register(userData) {
-    const { name, phone, password, email, role } = userData;
+  async register(userData, meta = {}) {
+    const { name, phone, password, email } = userData;
 
     // Check if user exists
     // Why findOne instead of find?
@@ -63,16 +145,27 @@ class AuthService {
       phone,
       password,
       email,
-      role: role || 'user', // Default to 'user' if not provided
+      // Role is never taken from the request body
+      // Staff roles are assigned by admins (PATCH /api/users/:id/role)
+      role: 'user',
     });
 
-    // Generate token
-    const token = this.generateToken(user._id);
+    // Send phone verification code
+    // Why not fail registration if sending fails?
+    // - Account is already created, user can resend from the app
+    try {
+      await this.sendPhoneVerificationOtp(user);
+    } catch (error) {
+      console.error('❌ Failed to send verification code:', error.message);
+    }
 
-    // Return public profile + token
+    // Start session (access + refresh token)
+    const tokens = await this.createSession(user._id, meta);
+
+    // Return public profile + tokens
     return {
       user: user.getPublicProfile(),
-      token,
+      ...tokens,
     };
   }
 
@@ -81,10 +174,11 @@ class AuthService {
    * 
    * @param {string} phone - User phone number
    * @param {string} password - Plain text password
-   * @returns {Promise<Object>} - User data with token
+   * @param {Object} meta - { ip, userAgent } of the request
+   * @returns {Promise<Object>} - User data with tokens
    * @throws {Error} - If credentials invalid or account suspended
    */
-  async login(phone, password) {
+  async login(phone, password, meta = {}) {
     // Validate input
     if (!phone || !password) {
       const error = new Error('Please provide phone and password');
@@ -92,43 +186,801 @@ class AuthService {
       throw error;
     }
 
+    const protection = config.loginProtection;
+    const phoneKey = `phone:${phone}`;
+    const ipKey = `ip:${meta.ip || 'unknown'}`;
+
     // Find user and include password
     // Why .select('+password')?
     // - Password has select: false in schema
     // - We need it here for comparison
     const user = await User.findOne({ phone }).select('+password');
 
-    if (!user) {
-      const error = new Error('Invalid credentials');
-      error.statusCode = 401;
+    // Brute-force protection: claim the attempt BEFORE comparing password
+    // Why? A locked key must not be able to keep guessing, and parallel
+    // guesses are counted one by one (atomic $inc)
+    const [phoneBlock, ipBlock] = await Promise.all([
+      LoginAttempt.claim(phoneKey, protection.maxFailuresPerPhone, protection),
+      LoginAttempt.claim(ipKey, protection.maxFailuresPerIp, protection),
+    ]);
+    const block = phoneBlock.retryAfter >= ipBlock.retryAfter ? phoneBlock : ipBlock;
+
+    if (block.retryAfter > 0) {
+      // No attempt made → give back the key that was not blocked
+      await Promise.all([
+        phoneBlock.retryAfter === 0 && LoginAttempt.release(phoneKey),
+        ipBlock.retryAfter === 0 && LoginAttempt.release(ipKey),
+      ]);
+
+      await this.recordLogin(user, false, block.locked ? 'locked' : 'throttled', meta);
+
+      const error = new Error(
+        block.locked
+          ? `Too many failed login attempts. Try again in ${Math.ceil(block.retryAfter / 60)} minute(s).`
+          : `Too many failed login attempts. Try again in ${block.retryAfter} second(s).`
+      );
+      error.statusCode = 429;
+      error.retryAfter = block.retryAfter;
       throw error;
     }
 
     // Check password
-    const isPasswordMatch = await user.matchPassword(password);
+    // (unknown phone counts as a failure too)
+    const isPasswordMatch = user ? await user.matchPassword(password) : false;
 
     if (!isPasswordMatch) {
+      await Promise.all([
+        LoginAttempt.lock(phoneKey, protection.maxFailuresPerPhone, protection),
+        LoginAttempt.lock(ipKey, protection.maxFailuresPerIp, protection),
+        this.recordLogin(user, false, 'invalid_password', meta),
+      ]);
+
       const error = new Error('Invalid credentials');
       error.statusCode = 401;
       throw error;
     }
 
+    // Correct password: reset phone counter
+    // (IP counter is kept minus this attempt, one IP may be guessing many phones)
+    await Promise.all([LoginAttempt.clear(phoneKey), LoginAttempt.release(ipKey)]);
+
     // Check if account is active
+    // (timed suspensions are lifted here once expired)
+    if (!user.isActive && !(await user.liftExpiredSuspension())) {
+      await this.recordLogin(user, false, 'suspended', meta);
+
+      const error = new Error(
+        user.deletedAt
+          ? 'This account has been deleted.'
+          : 'Your account has been suspended. Please contact admin.'
+      );
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // 2FA enabled → step 2 required before any session exists
+    if (user.twoFactor?.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user._id),
+      };
+    }
+
+    // Start session (access + refresh token)
+    const tokens = await this.createSession(user._id, meta);
+
+    await this.recordLogin(user, true, '', meta);
+
+    return {
+      user: user.getPublicProfile(),
+      ...tokens,
+      // Mandatory 2FA not set up yet → client must go to enrollment
+      ...(twoFactorService.isRequiredFor(user) && { twoFactorSetupRequired: true }),
+    };
+  }
+
+  /**
+   * Complete login with 2FA code (step 2)
+   * 
+   * @param {string} challengeToken - From login response
+   * @param {string} code - TOTP code or recovery code
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} - User data with tokens
+   * @throws {Error} - If challenge expired, code invalid or too many attempts
+   */
+  async completeTwoFactorLogin(challengeToken, code, meta = {}) {
+    if (!challengeToken || !code) {
+      const error = new Error('Please provide challenge token and code');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const userId = twoFactorService.verifyChallenge(challengeToken);
+    const protection = config.loginProtection;
+    const key = `2fa:${userId}`;
+
+    // Same brute-force protection as passwords (6 digits = 1M guesses)
+    const block = await LoginAttempt.claim(key, protection.maxFailuresPerPhone, protection);
+
+    if (block.retryAfter > 0) {
+      const error = new Error(
+        `Too many invalid codes. Try again in ${block.retryAfter} second(s).`
+      );
+      error.statusCode = 429;
+      error.retryAfter = block.retryAfter;
+      throw error;
+    }
+
+    const user = await twoFactorService.getUserWithSecrets(userId);
+
     if (!user.isActive) {
       const error = new Error('Your account has been suspended. Please contact admin.');
       error.statusCode = 403;
       throw error;
     }
 
-    // Generate token
-    const token = this.generateToken(user._id);
+    if (!(await twoFactorService.verifyCode(user, code))) {
+      await Promise.all([
+        LoginAttempt.lock(key, protection.maxFailuresPerPhone, protection),
+        this.recordLogin(user, false, 'invalid_2fa', meta),
+      ]);
+
+      const error = new Error('Invalid authentication code');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    await LoginAttempt.clear(key);
+
+    const tokens = await this.createSession(user._id, meta);
+
+    await this.recordLogin(user, true, '', meta);
 
     return {
       user: user.getPublicProfile(),
-      token,
+      ...tokens,
     };
   }
 
+  /**
+   * Write a login history entry
+   * 
+   * Only for existing accounts (unknown phones have no owner to show it to)
+   * 
+   * @param {Object|null} user - User document
+   * @param {boolean} success
+   * @param {string} reason - LoginHistory.reason value
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<void>}
+   */
+  async recordLogin(user, success, reason, meta = {}) {
+    if (!user) return;
+
+    await LoginHistory.create({
+      user: user._id,
+      success,
+      reason,
+      ip: meta.ip || '',
+      userAgent: meta.userAgent || '',
+    });
+  }
+
+  /**
+   * Get active sessions + recent login history
+   * 
+   * @param {string} userId
+   * @param {string} currentSessionId - Marks "this device"
+   * @returns {Promise<Object>} - { sessions, loginHistory }
+   */
+  async getSessions(userId, currentSessionId) {
+    const [sessions, loginHistory] = await Promise.all([
+      Session.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+        .select('ip userAgent createdAt lastUsedAt expiresAt')
+        .sort({ lastUsedAt: -1 }),
+      LoginHistory.find({ user: userId })
+        .select('success reason ip userAgent createdAt')
+        .sort({ createdAt: -1 })
+        .limit(50),
+    ]);
+
+    return {
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === currentSessionId.toString(),
+      })),
+      loginHistory,
+    };
+  }
+
+  /**
+   * Unlock a user's login (admin)
+   * 
+   * Clears the phone lock and, optionally, an IP lock
+   * 
+   * @param {string} userId - Account to unlock
+   * @param {string} [ip] - Also clear this IP
+   * @param {Object} actor - { _id, ip } of the admin
+   * @returns {Promise<Object>} - User public profile
+   */
+  async unlockLogin(userId, ip, actor) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await LoginAttempt.clear(`phone:${user.phone}`);
+
+    if (ip) {
+      await LoginAttempt.clear(`ip:${ip}`);
+    }
+
+    await auditService.record({
+      actor: actor._id,
+      action: 'user.login_unlocked',
+      targetModel: 'User',
+      target: user._id,
+      after: ip ? { ip } : {},
+      ip: actor.ip,
+    });
+
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Rotate refresh token
+   * 
+   * Flow:
+   * 1. Find session from token prefix
+   * 2. Token matches current hash → issue new pair, old one is rotated out
+   * 3. Token matches a rotated hash → REUSE → revoke whole session
+   * 4. Anything else → 401
+   * 
+   * @param {string} refreshToken
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} - { token, refreshToken }
+   * @throws {Error} - If token invalid, expired, revoked or reused
+   */
+  async refreshTokens(refreshToken, meta = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      const error = new Error('Please provide refresh token');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const invalidError = new Error('Invalid or expired refresh token');
+    invalidError.statusCode = 401;
+
+    const [sessionId] = refreshToken.split('.');
+    const tokenHash = this.hashToken(refreshToken);
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw invalidError;
+    }
+
+    const session = await Session.findById(sessionId).select(
+      '+tokenHash +rotatedHashes'
+    );
+
+    if (!session) {
+      throw invalidError;
+    }
+
+    // Reuse detection: an old token from this family came back
+    if (session.rotatedHashes.includes(tokenHash)) {
+      if (!session.revokedAt) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'reuse_detected';
+        await session.save();
+        await disconnectSessions(session.user, session._id);
+      }
+
+      console.log('🚨 Refresh token reuse detected, session revoked:', session._id);
+
+      const error = new Error('Refresh token reuse detected. Please login again.');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (session.tokenHash !== tokenHash || !session.isValid()) {
+      throw invalidError;
+    }
+
+    // User might be deleted or suspended since login
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      throw invalidError;
+    }
+
+    // Rotate
+    // Conditional update: two parallel refreshes with the same token
+    // must not both succeed
+    const newRefreshToken = this.buildRefreshToken(session._id);
+
+    const update = {
+      tokenHash: this.hashToken(newRefreshToken),
+      lastUsedAt: new Date(),
+    };
+    if (meta.ip) update.ip = meta.ip;
+    if (meta.userAgent) update.userAgent = meta.userAgent;
+
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash, revokedAt: null },
+      {
+        $set: update,
+        $push: { rotatedHashes: { $each: [tokenHash], $slice: -ROTATED_HASHES_KEPT } },
+      }
+    );
+
+    if (!rotated) {
+      throw invalidError;
+    }
+
+    return {
+      token: this.generateToken(user._id, session._id),
+      refreshToken: newRefreshToken,
+    };
+  }
+
+  /**
+   * Logout current session
+   * 
+   * @param {string} userId
+   * @param {string} sessionId - From access token (req.session)
+   * @returns {Promise<void>}
+   */
+  async logout(userId, sessionId) {
+    await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    await disconnectSessions(userId, sessionId);
+  }
+
+  /**
+   * Logout from all devices
+   * 
+   * @param {string} userId
+   * @returns {Promise<number>} - Count of revoked sessions
+   */
+  async logoutAll(userId) {
+    const result = await Session.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout_all' }
+    );
+
+    await disconnectSessions(userId);
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Hash an OTP code
+   * 
+   * Why HMAC (not plain SHA-256)?
+   * - 6-digit codes have only 1M possibilities
+   * - Without the server secret, a leaked hash can't be brute-forced
+   * 
+   * @param {string} code
+   * @returns {string}
+   */
+  hashOtp(code) {
+    return crypto
+      .createHmac('sha256', config.jwtSecret)
+      .update(String(code))
+      .digest('hex');
+  }
+
+  /**
+   * Issue a new OTP and deliver it
+   * 
+   * Previous unused codes for the same purpose are invalidated,
+   * so only the latest code works.
+   * 
+   * Rate limits (per user + purpose):
+   * - config.otp.resendCooldownSeconds between two codes
+   * - config.otp.maxSendsPerHour codes per rolling hour
+   * 
+   * @param {Object} user - User document
+   * @param {string} purpose - Otp.purpose value
+   * @param {string} channel - 'sms' | 'email'
+   * @param {Function} buildText - (code, minutes) => message text
+   * @returns {Promise<void>}
+   */
+  async issueOtp(user, purpose, channel, buildText) {
+    if (channel === 'email' && !user.email) {
+      const error = new Error('No email address on this account');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+    const recentOtps = await Otp.find({ user: user._id, purpose })
+      .select('createdAt sequence')
+      .sort({ createdAt: -1 })
+      .limit(config.otp.maxSendsPerHour);
+
+    if (recentOtps.length > 0) {
+      const secondsSinceLast = (Date.now() - recentOtps[0].createdAt) / 1000;
+      const wait = Math.ceil(config.otp.resendCooldownSeconds - secondsSinceLast);
+
+      if (wait > 0) {
+        const error = new Error(`Please wait ${wait} seconds before requesting a new code`);
+        error.statusCode = 429;
+        throw error;
+      }
+    }
+
+    if (recentOtps.filter((otp) => otp.createdAt > since).length >= config.otp.maxSendsPerHour) {
+      const error = new Error('Too many codes requested. Please try again later.');
+      error.statusCode = 429;
+      throw error;
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const minutes = config.otp.expireMinutes;
+
+    // Next send slot: a parallel request that passed the checks above
+    // takes the same sequence and loses on the unique index
+    let otp;
+    try {
+      otp = await Otp.create({
+        user: user._id,
+        purpose,
+        channel,
+        codeHash: this.hashOtp(code),
+        sequence: (recentOtps[0]?.sequence || 0) + 1,
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const cooldownError = new Error('A code was just sent. Please wait before requesting a new one.');
+      cooldownError.statusCode = 429;
+      throw cooldownError;
+    }
+
+    // Only the latest code works (after create, so a lost race can't void it)
+    await Otp.updateMany(
+      { user: user._id, purpose, usedAt: null, _id: { $ne: otp._id } },
+      { usedAt: new Date() }
+    );
+
+    await sendMessage({
+      channel,
+      to: channel === 'email' ? user.email : user.phone,
+      subject: 'Foundation verification code',
+      text: buildText(code, minutes),
+    });
+  }
+
+  /**
+   * Verify and consume an OTP
+   * 
+   * @param {string} userId
+   * @param {string} purpose
+   * @param {string} code
+   * @returns {Promise<void>}
+   * @throws {Error} - If code missing, expired, used, wrong or too many attempts
+   */
+  async consumeOtp(userId, purpose, code) {
+    const invalidError = new Error('Invalid or expired code');
+    invalidError.statusCode = 400;
+
+    const otp = await Otp.findOne({
+      user: userId,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('+codeHash')
+      .sort({ createdAt: -1 });
+
+    if (!otp) {
+      throw invalidError;
+    }
+
+    // Count the attempt BEFORE comparing (atomic $inc), so parallel
+    // guesses can't all pass the limit check before any of them is saved
+    const counted = await Otp.findOneAndUpdate(
+      { _id: otp._id, usedAt: null, attempts: { $lt: config.otp.maxAttempts } },
+      { $inc: { attempts: 1 } }
+    );
+
+    if (!counted) {
+      const error = new Error('Too many wrong attempts. Please request a new code.');
+      error.statusCode = 429;
+      throw error;
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(this.hashOtp(code), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      throw invalidError;
+    }
+
+    // Single-use: conditional update so a code can't be consumed twice
+    const consumed = await Otp.findOneAndUpdate(
+      { _id: otp._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+
+    if (!consumed) {
+      throw invalidError;
+    }
+  }
+
+  /**
+   * Send phone verification OTP via SMS
+   * 
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async sendPhoneVerificationOtp(user) {
+    await this.issueOtp(
+      user,
+      'phone_verification',
+      'sms',
+      (code, minutes) =>
+        `Your Foundation verification code is ${code}. It expires in ${minutes} minutes.`
+    );
+  }
+
+  /**
+   * Resend phone verification OTP
+   * 
+   * @param {string} userId
+   * @returns {Promise<void>}
+   * @throws {Error} - If already verified or rate limited
+   */
+  async resendPhoneOtp(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (user.isPhoneVerified) {
+      const error = new Error('Phone number is already verified');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.sendPhoneVerificationOtp(user);
+  }
+
+  /**
+   * Verify phone number with OTP
+   * 
+   * @param {string} userId
+   * @param {string} otp
+   * @returns {Promise<Object>} - Updated public profile
+   * @throws {Error} - If code invalid or already verified
+   */
+  async verifyPhone(userId, otp) {
+    if (!otp) {
+      const error = new Error('Please provide verification code');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (user.isPhoneVerified) {
+      const error = new Error('Phone number is already verified');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.consumeOtp(user._id, 'phone_verification', otp);
+
+    user.isPhoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Change password (logged-in user)
+   * 
+   * All existing sessions are revoked, a fresh session is
+   * returned for the current device.
+   * 
+   * @param {string} userId
+   * @param {string} currentPassword
+   * @param {string} newPassword
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} - { token, refreshToken }
+   * @throws {Error} - If current password wrong or new password invalid
+   */
+  async changePassword(userId, currentPassword, newPassword, meta = {}) {
+    if (!currentPassword || !newPassword) {
+      const error = new Error('Please provide current and new password');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findById(userId).select('+password');
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const isPasswordMatch = await user.matchPassword(currentPassword);
+
+    if (!isPasswordMatch) {
+      const error = new Error('Current password is incorrect');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (currentPassword === newPassword) {
+      const error = new Error('New password must be different from current password');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // pre-save hook hashes it, schema validates min length
+    user.password = newPassword;
+    await user.save();
+
+    await this.logoutAll(user._id);
+
+    return this.createSession(user._id, meta);
+  }
+
+  /**
+   * Forgot password: send reset OTP
+   * 
+   * Security:
+   * - Same response whether phone exists or not (no account enumeration),
+   *   including when no code is sent (no email on file, cooldown, hourly limit)
+   * 
+   * @param {string} phone
+   * @param {string} channel - 'sms' (default) | 'email'
+   * @returns {Promise<void>}
+   */
+  async forgotPassword(phone, channel = 'sms') {
+    if (!phone) {
+      const error = new Error('Please provide phone number');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!['sms', 'email'].includes(channel)) {
+      const error = new Error('Channel must be sms or email');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findOne({ phone, isActive: true });
+
+    if (!user) {
+      return;
+    }
+
+    try {
+      await this.issueOtp(
+        user,
+        'password_reset',
+        channel,
+        (code, minutes) =>
+          `Your password reset code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`
+      );
+    } catch (error) {
+      // No email on file / cooldown / hourly limit would reveal the account exists
+      if (!error.statusCode) throw error;
+    }
+  }
+
+  /**
+   * Reset password using OTP
+   * 
+   * Throttled like login (per phone and per IP), on top of the
+   * attempt limit of each code.
+   * 
+   * @param {string} phone
+   * @param {string} otp - Code received via SMS/Email
+   * @param {string} newPassword
+   * @param {Object} meta - { ip } of the request
+   * @returns {Promise<void>}
+   * @throws {Error} - If code invalid, password invalid or too many attempts
+   */
+  async resetPassword(phone, otp, newPassword, meta = {}) {
+    if (!phone || !otp || !newPassword) {
+      const error = new Error('Please provide phone, code and new password');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if ([phone, otp, newPassword].some((value) => typeof value !== 'string')) {
+      const error = new Error('Phone, code and new password must be text');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Validate before consuming the code
+    if (newPassword.length < 6) {
+      const error = new Error('Password must be at least 6 characters');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const protection = config.loginProtection;
+    const phoneKey = `reset:phone:${phone}`;
+    const ipKey = `reset:ip:${meta.ip || 'unknown'}`;
+
+    // Same claim → lock / clear flow as login
+    const [phoneBlock, ipBlock] = await Promise.all([
+      LoginAttempt.claim(phoneKey, protection.maxFailuresPerPhone, protection),
+      LoginAttempt.claim(ipKey, protection.maxFailuresPerIp, protection),
+    ]);
+    const block = phoneBlock.retryAfter >= ipBlock.retryAfter ? phoneBlock : ipBlock;
+
+    if (block.retryAfter > 0) {
+      await Promise.all([
+        phoneBlock.retryAfter === 0 && LoginAttempt.release(phoneKey),
+        ipBlock.retryAfter === 0 && LoginAttempt.release(ipKey),
+      ]);
+
+      const error = new Error(
+        `Too many reset attempts. Try again in ${Math.ceil(block.retryAfter / 60)} minute(s).`
+      );
+      error.statusCode = 429;
+      error.retryAfter = block.retryAfter;
+      throw error;
+    }
+
+    const user = await User.findOne({ phone, isActive: true });
+
+    try {
+      if (!user) {
+        const error = new Error('Invalid or expired code');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await this.consumeOtp(user._id, 'password_reset', otp);
+    } catch (error) {
+      // Unknown phone counts as a failure too
+      if (error.statusCode) {
+        await Promise.all([
+          LoginAttempt.lock(phoneKey, protection.maxFailuresPerPhone, protection),
+          LoginAttempt.lock(ipKey, protection.maxFailuresPerIp, protection),
+        ]);
+      }
+      throw error;
+    }
+
+    await Promise.all([LoginAttempt.clear(phoneKey), LoginAttempt.release(ipKey)]);
+
+    user.password = newPassword;
+    await user.save();
+
+    // Whoever had the old password must be logged out
+    await this.logoutAll(user._id);
+  }
+
   /**
    * Get user by ID
    * 
@@ -151,20 +1003,55 @@ class AuthService {
   /**
  * Get user profile by ID
  * 
+ * Privacy:
+ * - Fields are filtered by the owner's visibility settings
+ * - Friends / staff see more than other members
+ * 
+ * Includes followerCount, followingCount, isFollowing
+ * 
  * @param {string} userId - User ID to fetch
+ * @param {Object} viewer - Logged in user
  * @returns {Promise<Object>} - User profile
  * @throws {Error} - If user not found
  */
-async getUserProfile(userId) {
+async getUserProfile(userId, viewer) {
   const user = await User.findById(userId).select('-password');
 
-  if (!user) {
+  // Blocked either way → looks like the user doesn't exist
+  if (!user || (await Block.isBlockedBetween(viewer._id, userId))) {
     const error = new Error('User not found');
     error.statusCode = 404;
     throw error;
   }
 
-  return user.getPublicProfile();
+  const isFriend =
+    user._id.toString() !== viewer._id.toString() &&
+    (await Friendship.areFriends(viewer._id, user._id));
+
+  return {
+    ...user.getProfileFor(viewer, { isFriend }),
+    ...(await followService.getStats(user._id, viewer._id)),
+  };
+}
+
+/**
+ * Apply privacy settings to a list of users
+ * 
+ * One friendship query for the whole list
+ * 
+ * @param {Array} users - User documents
+ * @param {Object} viewer - Logged in user
+ * @returns {Promise<Array>} - Filtered profiles
+ */
+async getProfilesFor(users, viewer) {
+  const friendIds = await Friendship.getFriendIdsAmong(
+    viewer._id,
+    users.map((user) => user._id)
+  );
+
+  return users.map((user) =>
+    user.getProfileFor(viewer, { isFriend: friendIds.has(user._id.toString()) })
+  );
 }
 
 /**
@@ -182,7 +1069,24 @@ async getUserProfile(userId) {
  */
 async updateProfile(userId, updateData) {
   // Fields allowed to update
-  const allowedFields = ['name', 'email', 'bio', 'donationAmount'];
+  const allowedFields = [
+    'name',
+    'email',
+    'bio',
+    'donationAmount',
+    'coverPhoto',
+    'address',
+    'area',
+    'occupation',
+    'bloodGroup',
+    'volunteerSkills',
+  ];
+
+  // Nested objects: update only the sent keys (others keep their value)
+  const nestedFields = {
+    socialLinks: ['facebook', 'twitter', 'linkedin', 'website'],
+    privacy: Object.keys(PRIVATE_FIELD_DEFAULTS),
+  };
   
   // Filter out non-allowed fields
   const filteredData = {};
@@ -192,6 +1096,17 @@ async updateProfile(userId, updateData) {
     }
   });
 
+  Object.entries(nestedFields).forEach(([field, keys]) => {
+    const value = updateData[field];
+    if (!value || typeof value !== 'object') return;
+
+    keys.forEach((key) => {
+      if (value[key] !== undefined) {
+        filteredData[`${field}.${key}`] = value[key];
+      }
+    });
+  });
+
   // Update user
   const user = await User.findByIdAndUpdate(
     userId,
@@ -214,14 +1129,96 @@ async updateProfile(userId, updateData) {
 /**
  * Update profile picture
  * 
+ * Flow:
+ * 1. Upload original (capped at 1000px) to Cloudinary
+ * 2. Save { url, publicId, variants } on user
+ * 3. Delete previous asset (only after the new one is saved)
+ * 
+ * @param {string} userId - User ID
+ * @param {Buffer} fileBuffer - Image from multer
+ * @returns {Promise<Object>} - Updated user
+ */
+async updateProfilePicture(userId, fileBuffer) {
+  const existing = await User.findById(userId).select('profilePicture');
+
+  if (!existing) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const result = await uploadImage(fileBuffer, {
+    folder: 'foundation/profiles',
+    transformation: [{ width: 1000, height: 1000, crop: 'limit' }],
+  });
+
+  const variants = buildAvatarVariants(result.public_id);
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      profilePicture: {
+        url: variants.full,
+        publicId: result.public_id,
+        variants,
+      },
+    },
+    { new: true }
+  );
+
+  await this.destroyImage(existing.profilePicture?.publicId);
+
+  return user.getPublicProfile();
+}
+
+/**
+ * Remove profile picture
+ * 
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Updated user
+ */
+async removeProfilePicture(userId) {
+  const user = await User.findById(userId).select('profilePicture');
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const publicId = user.profilePicture?.publicId;
+
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    { profilePicture: { url: '', publicId: '', variants: {} } },
+    { new: true }
+  );
+
+  await this.destroyImage(publicId);
+
+  return updated.getPublicProfile();
+}
+
+/**
+ * Delete image from Cloudinary (failure logged, not thrown)
+ * 
+ * @param {string} publicId
+ */
+async destroyImage(publicId) {
+  await destroyImage(publicId);
+}
+
+/**
+ * Update cover photo
+ * 
  * @param {string} userId - User ID
  * @param {string} imageUrl - Cloudinary URL
  * @returns {Promise<Object>} - Updated user
  */
-async updateProfilePicture(userId, imageUrl) {
+async updateCoverPhoto(userId, imageUrl) {
   const user = await User.findByIdAndUpdate(
     userId,
-    { profilePicture: imageUrl },
+    { coverPhoto: imageUrl },
     { new: true }
   );
 
@@ -237,65 +1234,190 @@ async updateProfilePicture(userId, imageUrl) {
 /**
  * Get all users (for testing/debugging)
  * 
- * @param {string} currentUserId - Current user
- * @returns {Promise<Array>}
+ * @param {Object} viewer - Current user
+ * @returns {Promise<Array>} - Profiles filtered by privacy settings
  */
-async getAllUsers(currentUserId) {
+async getAllUsers(viewer) {
+  const blockedIds = await Block.getBlockedIds(viewer._id);
+
   const users = await User.find({
-    _id: { $ne: currentUserId },
+    _id: { $ne: viewer._id, $nin: blockedIds },
     isActive: true,
-  })
-    .select('name phone email profilePicture bio role')
-    .limit(50);
+  }).limit(50);
 
-  return users;
+  return this.getProfilesFor(users, viewer);
 }
 
 /**
- * Search users by name
+ * Search users
+ * 
+ * Matching (any of, all prefix matches so indexes are used):
+ * - Phonetic keys of name / email / bio / area words, so spelling and
+ *   script variants match ("Rahim" ↔ "Rohim" ↔ "রহিম", see utils/transliterate.js)
+ * - Start of email / phone
  * 
- * @param {string} searchQuery - Search term
- * @param {string} currentUserId - Current user ID
- * @returns {Promise<Array>} - Array of users
+ * Candidates are capped at SEARCH_CANDIDATE_LIMIT, best name matches
+ * first; pagination.capped tells the client there were more
+ * 
+ * Ranking: name > area > email / phone > bio,
+ *          exact > starts with > contains > phonetic
+ * 
+ * Privacy:
+ * - Only fields the viewer may see are scored
+ *   (a match on a hidden email / area / phone is not a match)
+ * 
+ * @param {Object} query - { q, role, page, limit }
+ * @param {Object} viewer - Current user
+ * @returns {Promise<Object>} - { users, pagination }
+ *   Each user has friendshipStatus (null | pending | accepted | rejected)
+ *   and friendRequestSentByMe
  */
-async searchUsers(searchQuery, currentUserId) {
-  // Validate search query
-  if (!searchQuery || searchQuery.trim().length < 1) {
-    return [];
-  }
-
-  const trimmedQuery = searchQuery.trim();
-
-  console.log('🔍 Searching users with query:', trimmedQuery);
-  console.log('   Current user ID:', currentUserId);
-
-  try {
-    // Case-insensitive search
-    // $regex = pattern matching
-    // $options: 'i' = case insensitive
-    const users = await User.find({
-      $and: [
-        {
-          $or: [
-            { name: { $regex: trimmedQuery, $options: 'i' } },
-            { phone: { $regex: trimmedQuery, $options: 'i' } },
-            { email: { $regex: trimmedQuery, $options: 'i' } },
-          ],
-        },
-        { _id: { $ne: currentUserId } }, // Exclude current user
-        { isActive: true }, // Only active users
-      ],
-    })
-      .select('name phone email profilePicture bio role')
-      .limit(20);
+async searchUsers(query, viewer) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const page = parseInt(query.page) || 1;
+  const limit = Math.min(parseInt(query.limit) || 20, 50);
 
-    console.log('✅ Found users:', users.length);
+  if (!q) {
+    return { users: [], pagination: { page, limit, total: 0, pages: 0 } };
+  }
 
-    return users;
-  } catch (error) {
-    console.error('❌ Search error:', error);
+  const roles = User.schema.path('role').enumValues;
+  if (query.role && !roles.includes(query.role)) {
+    const error = new Error(`${query.role} is not a valid role`);
+    error.statusCode = 400;
     throw error;
   }
+
+  const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const queryKeys = phoneticKeys(q);
+
+  const blockedIds = await Block.getBlockedIds(viewer._id);
+
+  // Anchored (prefix) patterns only, so the indexes can be used
+  const filter = {
+    _id: { $ne: viewer._id, $nin: blockedIds },
+    isActive: true,
+    $or: [
+      // Every query word must prefix-match a token (name / email / bio / area words)
+      ...(queryKeys.length
+        ? [{ $and: queryKeys.map((key) => ({ searchTokens: { $regex: `^${key}` } })) }]
+        : []),
+      { email: { $regex: `^${escaped.toLowerCase()}` } },
+      { phone: { $regex: `^${escaped}` } },
+    ],
+  };
+
+  if (query.role) {
+    filter.role = query.role;
+  }
+
+  // Best name matches first, so the cap never drops them;
+  // full ranking (privacy aware) happens in memory below
+  const rows = await User.aggregate([
+    { $match: filter },
+    {
+      $addFields: {
+        nameRank: {
+          $switch: {
+            branches: [
+              { case: { $eq: [{ $toLower: '$name' }, q.toLowerCase()] }, then: 3 },
+              { case: { $regexMatch: { input: '$name', regex: `^${escaped}`, options: 'i' } }, then: 2 },
+              { case: { $regexMatch: { input: '$name', regex: escaped, options: 'i' } }, then: 1 },
+            ],
+            default: 0,
+          },
+        },
+      },
+    },
+    { $sort: { nameRank: -1, name: 1, _id: 1 } },
+    { $limit: SEARCH_CANDIDATE_LIMIT },
+    { $project: { _id: 1 } },
+  ]);
+
+  // Load as documents (hidden fields stay hidden), in the same order
+  const byId = new Map(
+    (await User.find({ _id: { $in: rows.map((row) => row._id) } })).map((user) => [
+      user._id.toString(),
+      user,
+    ])
+  );
+  const candidates = rows.map((row) => byId.get(row._id.toString())).filter(Boolean);
+  const candidateIds = candidates.map((user) => user._id);
+  const statuses = await Friendship.getStatusesAmong(viewer._id, candidateIds);
+
+  const ranked = candidates
+    .map((user) => {
+      const friendship = statuses.get(user._id.toString());
+      const profile = user.getProfileFor(viewer, {
+        isFriend: friendship?.status === 'accepted',
+      });
+
+      return {
+        profile,
+        friendship,
+        score: this.scoreSearchMatch(profile, q, queryKeys),
+      };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.profile.name.localeCompare(b.profile.name));
+
+  const users = ranked
+    .slice((page - 1) * limit, page * limit)
+    .map(({ profile, friendship }) => ({
+      ...profile,
+      friendshipStatus: friendship?.status || null,
+      friendRequestSentByMe: !!friendship?.requestedByMe,
+    }));
+
+  return {
+    users,
+    pagination: {
+      page,
+      limit,
+      total: ranked.length,
+      pages: Math.ceil(ranked.length / limit),
+      // More matches exist than were ranked - refine the search
+      capped: rows.length === SEARCH_CANDIDATE_LIMIT,
+    },
+  };
+}
+
+/**
+ * Score how well a (privacy filtered) profile matches a search
+ * 
+ * @param {Object} profile - Visible profile fields
+ * @param {string} q - Raw search text
+ * @param {string[]} queryKeys - Phonetic keys of the query words
+ * @returns {number} - 0 = no visible match
+ */
+scoreSearchMatch(profile, q, queryKeys) {
+  const needle = q.toLowerCase();
+  let score = 0;
+
+  Object.entries(SEARCH_WEIGHTS).forEach(([field, weight]) => {
+    const value = profile[field];
+    if (!value) return;
+
+    const text = String(value).toLowerCase();
+
+    if (text === needle) {
+      score += weight * 4;
+    } else if (text.startsWith(needle)) {
+      score += weight * 3;
+    } else if (text.includes(needle)) {
+      score += weight * 2;
+    } else if (field !== 'phone' && queryKeys.length) {
+      const keys = phoneticKeys(field === 'email' ? text.split('@')[0] : text);
+      const allMatch = queryKeys.every((queryKey) =>
+        keys.some((key) => key.startsWith(queryKey))
+      );
+      if (allMatch) {
+        score += weight;
+      }
+    }
+  });
+
+  return score;
 }
 
 /**
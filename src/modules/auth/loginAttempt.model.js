@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+
+/**
+ * Login Attempt Schema (brute-force protection)
+ *
+ * Design:
+ * - One document per throttle key: "phone:<phone>" or "ip:<ip>"
+ * - Counts consecutive failed logins (each attempt is counted when it
+ *   starts and given back if it succeeds)
+ * - Progressive delay once failures pass a threshold
+ * - Temporary lock after too many failures
+ * - Expires automatically (TTL) when the key goes quiet
+ *
+ * Why keys instead of fields on User?
+ * - Guessing against non-existent phones must be throttled too
+ * - Same mechanism works for IP addresses
+ */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    failures: {
+      type: Number,
+      default: 0,
+    },
+
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - expiresAt (TTL): counters reset after the window passes
+ */
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method: Claim an attempt for this key (call BEFORE checking the password)
+ *
+ * The attempt is counted up front with one atomic $inc, so parallel
+ * guesses each get their own count and cannot all slip past the check.
+ * - Locked key → nothing counted, locked
+ * - Too soon after the last failure → attempt given back, throttled
+ *
+ * Delay = baseDelaySeconds * 2^(failures - delayAfter)
+ * e.g. base 2s, delayAfter 3 → 4th failure waits 2s, 5th 4s, 6th 8s...
+ *
+ * @param {string} key
+ * @param {number} maxFailures
+ * @param {Object} options - { delayAfter, baseDelaySeconds, lockMinutes, windowMinutes }
+ * @returns {Promise<Object>} - { locked: boolean, retryAfter: seconds }
+ */
+loginAttemptSchema.statics.claim = async function (key, maxFailures, options) {
+  const now = new Date();
+  let previous;
+
+  try {
+    previous = await this.findOneAndUpdate(
+      { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + options.windowMinutes * 60 * 1000),
+        },
+      },
+      { new: false, upsert: true }
+    );
+  } catch (error) {
+    // Duplicate key → the document exists but is locked
+    if (error.code !== 11000) throw error;
+
+    const attempt = await this.findOne({ key });
+    return {
+      locked: true,
+      retryAfter: Math.max(1, Math.ceil((attempt.lockedUntil - now) / 1000)),
+    };
+  }
+
+  if (!previous) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  if (previous.failures >= options.delayAfter && previous.lastFailureAt) {
+    const delayMs =
+      options.baseDelaySeconds * 1000 * 2 ** (previous.failures - options.delayAfter);
+    const nextAllowedAt = previous.lastFailureAt.getTime() + delayMs;
+
+    if (nextAllowedAt > now.getTime()) {
+      await this.release(key, previous.lastFailureAt);
+
+      return {
+        locked: false,
+        retryAfter: Math.ceil((nextAllowedAt - now.getTime()) / 1000),
+      };
+    }
+  }
+
+  // Parallel attempts went past the limit before anyone locked the key
+  if (previous.failures >= maxFailures) {
+    const lockedUntil = await this.lock(key, maxFailures, options);
+    if (lockedUntil) {
+      return { locked: true, retryAfter: options.lockMinutes * 60 };
+    }
+  }
+
+  return { locked: false, retryAfter: 0 };
+};
+
+/**
+ * Static Method: Lock the key once failures reach maxFailures
+ * (call after a failed login; the attempt was already counted by claim)
+ *
+ * Counter restarts after the lock so the next lock needs N new failures.
+ *
+ * @param {string} key
+ * @param {number} maxFailures
+ * @param {Object} options - { lockMinutes }
+ * @returns {Promise<Date|null>} - lockedUntil if this failure locked the key
+ */
+loginAttemptSchema.statics.lock = async function (key, maxFailures, options) {
+  const lockedUntil = new Date(Date.now() + options.lockMinutes * 60 * 1000);
+
+  const attempt = await this.findOneAndUpdate(
+    { key, failures: { $gte: maxFailures } },
+    { $set: { failures: 0, lockedUntil, expiresAt: lockedUntil } }
+  );
+
+  return attempt ? lockedUntil : null;
+};
+
+/**
+ * Static Method: Give back a claimed attempt (throttled, or the login succeeded)
+ *
+ * @param {string} key
+ * @param {Date} [lastFailureAt] - Restore the previous failure time (throttled)
+ */
+loginAttemptSchema.statics.release = async function (key, lastFailureAt) {
+  await this.updateOne(
+    { key, failures: { $gt: 0 } },
+    { $inc: { failures: -1 }, ...(lastFailureAt && { $set: { lastFailureAt } }) }
+  );
+};
+
+/**
+ * Static Method: Clear a key (successful login / admin unlock)
+ */
+loginAttemptSchema.statics.clear = async function (key) {
+  await this.deleteOne({ key });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
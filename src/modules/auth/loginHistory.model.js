@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * Login History Schema
+ *
+ * Every login attempt against an existing account
+ * - Shown to the user on GET /api/auth/me/sessions
+ * - Kept for 90 days (TTL on createdAt)
+ */
+const loginHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    success: {
+      type: Boolean,
+      required: true,
+    },
+
+    // Why it failed (empty on success)
+    reason: {
+      type: String,
+      enum: ['', 'invalid_password', 'invalid_2fa', 'locked', 'throttled', 'suspended'],
+      default: '',
+    },
+
+    ip: {
+      type: String,
+      default: '',
+    },
+
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Indexes
+ * - user + createdAt: user's recent history
+ * - createdAt (TTL): remove after 90 days
+ */
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+export default LoginHistory;
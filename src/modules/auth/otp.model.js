@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * OTP Schema
+ *
+ * One-time codes sent over SMS/Email
+ *
+ * Security:
+ * - Only the hash of the code is stored
+ * - Time-limited (expiresAt, checked when the code is used)
+ * - Single-use (usedAt)
+ * - Limited wrong attempts per code
+ *
+ * Rows are kept one hour after sending (not just until expiry),
+ * the hourly send limit counts them.
+ */
+const otpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    purpose: {
+      type: String,
+      enum: {
+        values: ['password_reset', 'phone_verification'],
+        message: '{VALUE} is not a valid OTP purpose',
+      },
+      required: true,
+    },
+
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    channel: {
+      type: String,
+      enum: ['sms', 'email'],
+      default: 'sms',
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // Send number per user + purpose (unique), two parallel
+    // requests can't both take the same send slot
+    sequence: {
+      type: Number,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - user + purpose: find latest code
+ * - user + purpose + sequence (unique): one code per send slot
+ *   (partial: rows created before the field existed have none)
+ * - createdAt (TTL): MongoDB removes codes an hour after sending
+ */
+otpSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+otpSchema.index(
+  { user: 1, purpose: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+otpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const Otp = mongoose.model('Otp', otpSchema);
+
+export default Otp;
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Schema
+ *
+ * Design:
+ * - One document per login (= one refresh token "family")
+ * - Access tokens carry the session id (sid) so they can be revoked
+ * - Refresh token rotates on every use; only the SHA-256 hash is stored
+ * - Previously used hashes are kept to detect token reuse
+ *
+ * Reuse detection:
+ * - If an already-rotated refresh token is presented again, someone
+ *   else has a copy → the whole session (family) is revoked
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Hash of the currently valid refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Hashes of the most recent refresh tokens that have already been rotated out
+    // (capped, see ROTATED_HASHES_KEPT in auth.service.js)
+    rotatedHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'reuse_detected'],
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Device info (for "active sessions" display)
+    ip: {
+      type: String,
+      default: '',
+    },
+
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - user + revokedAt: logout-all, active sessions list
+ * - expiresAt (TTL): MongoDB removes expired sessions automatically
+ */
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Method: Is this session still usable?
+ */
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Static Method: Find an active session for a user
+ *
+ * Used by protect middleware and the Socket.io handshake
+ *
+ * Usage: await Session.findActive(decoded.sid, decoded.id)
+ */
+sessionSchema.statics.findActive = async function (sessionId, userId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from './user.model.js';
+import LoginAttempt from './loginAttempt.model.js';
+import auditService from '../audit/audit.service.js';
+import { config } from '../../config/env.js';
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+} from '../../utils/totp.js';
+
+/**
+ * Two-Factor Service Layer (TOTP)
+ * 
+ * Enrollment flow:
+ * 1. setup   → pending secret + otpauth:// URI (QR)
+ * 2. enable  → user proves the app works with a code → recovery codes
+ * 
+ * Login flow (see authService.login / completeTwoFactorLogin):
+ * 1. phone + password OK → short-lived challenge token (no session yet)
+ * 2. challenge token + TOTP/recovery code → real session
+ * 
+ * Every code check is throttled on the same "2fa:<userId>" key as
+ * login step 2 (6 digits = 1M guesses, even with a stolen access token)
+ */
+
+const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  /**
+   * Is 2FA mandatory for this user's role?
+   * 
+   * @param {Object} user
+   * @returns {boolean}
+   */
+  isRequiredFor(user) {
+    return config.twoFactor.requiredRoles.includes(user.role);
+  }
+
+  /**
+   * Hash a recovery code
+   * 
+   * @param {string} code
+   * @returns {string}
+   */
+  hashRecoveryCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(String(code).trim().toLowerCase())
+      .digest('hex');
+  }
+
+  /**
+   * Generate new recovery codes
+   * 
+   * @returns {Object} - { codes: plain (show once), hashes: to store }
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(4).toString('hex');
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map((code) => this.hashRecoveryCode(code)),
+    };
+  }
+
+  /**
+   * Load user with 2FA secrets
+   * 
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getUserWithSecrets(userId) {
+    const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Verify a TOTP or recovery code for a user
+   * 
+   * - TOTP: rejects replay of an already used time step
+   * - Recovery code: single-use, removed after success
+   * 
+   * @param {Object} user - Loaded with TWO_FACTOR_FIELDS
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(user, code) {
+    if (!code || !user.twoFactor?.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+
+    if (step !== null) {
+      // Conditional update: same code can't be used twice
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': step }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const hash = this.hashRecoveryCode(code);
+
+    if (user.twoFactor.recoveryCodes.includes(hash)) {
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    return false;
+  }
+
+  /**
+   * Run a code check under the login brute-force protection
+   * 
+   * @param {string} userId
+   * @param {Function} check - async, throws when the code (or password) is wrong
+   * @returns {Promise<void>}
+   * @throws {Error} - 429 while throttled / locked, or the check's error
+   */
+  async withAttemptLimit(userId, check) {
+    const protection = config.loginProtection;
+    const key = `2fa:${userId}`;
+
+    const block = await LoginAttempt.claim(key, protection.maxFailuresPerPhone, protection);
+
+    if (block.retryAfter > 0) {
+      const error = new Error(
+        `Too many invalid codes. Try again in ${block.retryAfter} second(s).`
+      );
+      error.statusCode = 429;
+      error.retryAfter = block.retryAfter;
+      throw error;
+    }
+
+    try {
+      await check();
+    } catch (error) {
+      await LoginAttempt.lock(key, protection.maxFailuresPerPhone, protection);
+      throw error;
+    }
+
+    await LoginAttempt.clear(key);
+  }
+
+  /**
+   * Start enrollment
+   * 
+   * @param {string} userId
+   * @returns {Promise<Object>} - { secret, otpauthUrl }
+   */
+  async setup(userId) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (user.twoFactor.enabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const secret = generateSecret();
+
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        label: user.phone,
+        issuer: config.twoFactor.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Finish enrollment
+   * 
+   * @param {string} userId
+   * @param {string} code - From authenticator app
+   * @returns {Promise<Object>} - { recoveryCodes } (shown once)
+   */
+  async enable(userId, code) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (user.twoFactor.enabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      const error = new Error('Please start two-factor setup first');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let step = null;
+
+    await this.withAttemptLimit(user._id, async () => {
+      step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+
+      if (step === null) {
+        const error = new Error('Invalid authentication code');
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await auditService.record({
+      actor: user._id,
+      action: 'user.2fa_enabled',
+      targetModel: 'User',
+      target: user._id,
+    });
+
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Disable 2FA
+   * 
+   * Requires password AND a current code (or recovery code)
+   * Not allowed when policy makes 2FA mandatory for the role
+   * 
+   * @param {string} userId
+   * @param {string} password
+   * @param {string} code
+   * @returns {Promise<void>}
+   */
+  async disable(userId, password, code) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (!user.twoFactor.enabled) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (this.isRequiredFor(user)) {
+      const error = new Error(`Two-factor authentication is mandatory for ${user.role} accounts`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    await this.withAttemptLimit(user._id, async () => {
+      if (!password || !(await user.matchPassword(password))) {
+        const error = new Error('Password is incorrect');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      if (!(await this.verifyCode(user, code))) {
+        const error = new Error('Invalid authentication code');
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+        },
+      }
+    );
+
+    await auditService.record({
+      actor: user._id,
+      action: 'user.2fa_disabled',
+      targetModel: 'User',
+      target: user._id,
+    });
+  }
+
+  /**
+   * Replace recovery codes (old ones stop working)
+   * 
+   * @param {string} userId
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} - { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.getUserWithSecrets(userId);
+
+    await this.withAttemptLimit(user._id, async () => {
+      if (!(await this.verifyCode(user, code))) {
+        const error = new Error('Invalid authentication code');
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      { 'twoFactor.recoveryCodes': hashes }
+    );
+
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Create login challenge token (step 1 passed)
+   * 
+   * Why a JWT without sid?
+   * - protect middleware requires an active session → can't be used as access token
+   * 
+   * @param {string} userId
+   * @returns {string}
+   */
+  createChallenge(userId) {
+    return jwt.sign({ id: userId, purpose: '2fa' }, config.jwtSecret, {
+      expiresIn: '5m',
+    });
+  }
+
+  /**
+   * Verify login challenge token
+   * 
+   * @param {string} challengeToken
+   * @returns {string} - userId
+   */
+  verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, config.jwtSecret);
+      if (decoded.purpose !== '2fa') throw new Error('Wrong token purpose');
+      return decoded.id;
+    } catch {
+      const error = new Error('Login challenge expired. Please login again.');
+      error.statusCode = 401;
+      throw error;
+    }
+  }
+}
+
+export default new TwoFactorService();
@@ -1,5 +1,42 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { PERMISSIONS, getUserPermissions } from '../../config/permissions.js';
+import { phoneticKeys } from '../../utils/transliterate.js';
+
+/**
+ * Profile Visibility
+ *
+ * - public  → everyone logged in
+ * - friends → accepted friends (and staff)
+ * - staff   → librarian / manager / admin only
+ *
+ * The owner always sees every field.
+ */
+export const VISIBILITY_LEVELS = ['public', 'friends', 'staff'];
+export const STAFF_ROLES = ['librarian', 'manager', 'admin'];
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Fields with a privacy setting → default visibility
+export const PRIVATE_FIELD_DEFAULTS = {
+  phone: 'friends',
+  email: 'friends',
+  address: 'staff',
+  area: 'public',
+  occupation: 'public',
+  bloodGroup: 'friends',
+  socialLinks: 'public',
+  volunteerSkills: 'public',
+  donationAmount: 'public',
+};
+
+const visibilitySetting = (defaultLevel) => ({
+  type: String,
+  enum: {
+    values: VISIBILITY_LEVELS,
+    message: '{VALUE} is not a valid visibility',
+  },
+  default: defaultLevel,
+});
 
 /**
  * User Schema
@@ -53,9 +90,29 @@ const userSchema = new mongoose.Schema(
       default: 'user',
     },
 
+    // Permissions granted on top of the role (see config/permissions.js)
+    extraPermissions: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: PERMISSIONS,
+            message: '{VALUE} is not a valid permission',
+          },
+        },
+      ],
+      default: [],
+    },
+
+    // url = full variant, publicId = Cloudinary asset (for deletion)
     profilePicture: {
-      type: String,
-      default: '',
+      url: { type: String, default: '' },
+      publicId: { type: String, default: '' },
+      variants: {
+        thumb: { type: String, default: '' },
+        medium: { type: String, default: '' },
+        full: { type: String, default: '' },
+      },
     },
 
     bio: {
@@ -64,6 +121,67 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
 
+    coverPhoto: {
+      type: String,
+      default: '',
+    },
+
+    // ── Extended Profile ────────────────────────────────────────────────────
+    address: {
+      type: String,
+      maxlength: [200, 'Address cannot exceed 200 characters'],
+      trim: true,
+      default: '',
+    },
+
+    // Locality / upazila, shown on public profile by default
+    area: {
+      type: String,
+      maxlength: [100, 'Area cannot exceed 100 characters'],
+      trim: true,
+      default: '',
+    },
+
+    occupation: {
+      type: String,
+      maxlength: [100, 'Occupation cannot exceed 100 characters'],
+      trim: true,
+      default: '',
+    },
+
+    bloodGroup: {
+      type: String,
+      enum: {
+        values: [...BLOOD_GROUPS, ''],
+        message: '{VALUE} is not a valid blood group',
+      },
+      default: '',
+    },
+
+    socialLinks: {
+      facebook: { type: String, trim: true, default: '' },
+      twitter: { type: String, trim: true, default: '' },
+      linkedin: { type: String, trim: true, default: '' },
+      website: { type: String, trim: true, default: '' },
+    },
+
+    volunteerSkills: {
+      type: [{ type: String, trim: true, maxlength: 50 }],
+      default: [],
+      validate: {
+        validator: (skills) => skills.length <= 20,
+        message: 'Cannot add more than 20 volunteer skills',
+      },
+    },
+
+    // Per-field visibility (see PRIVATE_FIELD_DEFAULTS)
+    privacy: Object.fromEntries(
+      Object.entries(PRIVATE_FIELD_DEFAULTS).map(([field, level]) => [
+        field,
+        visibilitySetting(level),
+      ])
+    ),
+
     donationAmount: {
       type: Number,
       default: 0,
@@ -78,6 +196,67 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    // Set when an admin suspends the account (isActive = false)
+    // until = null → indefinite
+    suspension: {
+      reason: { type: String, trim: true, default: '' },
+      until: { type: Date, default: null },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      at: { type: Date, default: null },
+    },
+
+    // Warnings from moderators (report action)
+    warnings: [
+      {
+        reason: { type: String, trim: true, required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Soft delete (isActive = false + deletedAt)
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Two-factor authentication (TOTP)
+    // Secrets are AES-encrypted, recovery codes are hashed
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // During enrollment
+      recoveryCodes: { type: [String], select: false, default: [] },
+      lastUsedStep: { type: Number, select: false, default: 0 }, // Replay guard
+      enabledAt: { type: Date, default: null },
+    },
+
+    // Phone ownership confirmed via OTP
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    phoneVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Set when the user's last socket disconnects (friends list "last seen")
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Phonetic keys of name / email / bio / area words (see utils/transliterate.js)
+    // Kept in sync by the hooks below; used by user search
+    searchTokens: {
+      type: [String],
+      default: [],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -86,10 +265,27 @@ const userSchema = new mongoose.Schema(
 
 /**
  * Indexes for Query Performance
+ *
+ * phone / email already get unique indexes from the field definitions
+ * (declaring them again conflicts with email's sparse unique index)
  */
-userSchema.index({ phone: 1 });
-userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ isActive: 1, deletedAt: 1 });
+userSchema.index({ searchTokens: 1 });
+
+// Fields that feed searchTokens
+export const SEARCH_FIELDS = ['name', 'email', 'bio', 'area'];
+
+/**
+ * Build search tokens for a user
+ * 
+ * Email: only the part before @ (domain would match everyone on gmail)
+ * 
+ * @param {Object} user - { name, email, bio, area }
+ * @returns {string[]}
+ */
+export const buildSearchTokens = (user) =>
+  phoneticKeys(user.name, user.email?.split('@')[0], user.bio, user.area);
 
 /**
  * Pre-save Middleware: Hash Password
@@ -116,6 +312,37 @@ userSchema.pre('save', async function () {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+/**
+ * Pre-save Middleware: Refresh search tokens
+ */
+userSchema.pre('save', function () {
+  if (this.isNew || SEARCH_FIELDS.some((field) => this.isModified(field))) {
+    this.searchTokens = buildSearchTokens(this);
+  }
+});
+
+/**
+ * Post findOneAndUpdate: Refresh search tokens
+ * 
+ * Why? updateProfile uses findByIdAndUpdate (save hooks don't run)
+ */
+userSchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...update.$set };
+
+  if (!doc || !SEARCH_FIELDS.some((field) => field in changed)) {
+    return;
+  }
+
+  const fresh = await this.model.findById(doc._id).select(SEARCH_FIELDS.join(' '));
+  if (fresh) {
+    await this.model.updateOne(
+      { _id: doc._id },
+      { searchTokens: buildSearchTokens(fresh) }
+    );
+  }
+});
+
 /**
  * Instance Method: Compare Password
  * 
@@ -146,12 +373,122 @@ userSchema.methods.getPublicProfile = function () {
     email: this.email,
     role: this.role,
     profilePicture: this.profilePicture,
+    coverPhoto: this.coverPhoto,
     bio: this.bio,
+    address: this.address,
+    area: this.area,
+    occupation: this.occupation,
+    bloodGroup: this.bloodGroup,
+    socialLinks: this.socialLinks,
+    volunteerSkills: this.volunteerSkills,
+    privacy: this.privacy,
     donationAmount: this.donationAmount,
+    isPhoneVerified: this.isPhoneVerified,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
+    permissions: getUserPermissions(this),
     createdAt: this.createdAt,
   };
 };
 
+/**
+ * Instance Method: Is this user staff?
+ */
+userSchema.methods.isStaff = function () {
+  return STAFF_ROLES.includes(this.role);
+};
+
+/**
+ * Instance Method: Get profile as seen by another user
+ * 
+ * Fields listed in PRIVATE_FIELD_DEFAULTS are removed unless
+ * the viewer is allowed to see them (owner sees everything).
+ * 
+ * Usage: user.getProfileFor(req.user, { isFriend: true })
+ * 
+ * @param {Object} viewer - Logged in user (document or { _id, role })
+ * @param {Object} [options]
+ * @param {boolean} [options.isFriend=false]
+ * @returns {Object}
+ */
+userSchema.methods.getProfileFor = function (viewer, { isFriend = false } = {}) {
+  const profile = this.getPublicProfile();
+
+  if (viewer && viewer._id.toString() === this._id.toString()) {
+    return profile;
+  }
+
+  const viewerIsStaff = STAFF_ROLES.includes(viewer?.role);
+
+  Object.keys(PRIVATE_FIELD_DEFAULTS).forEach((field) => {
+    const level = this.privacy?.[field] || PRIVATE_FIELD_DEFAULTS[field];
+    const visible =
+      level === 'public' ||
+      (level === 'friends' && (isFriend || viewerIsStaff)) ||
+      (level === 'staff' && viewerIsStaff);
+
+    if (!visible) {
+      delete profile[field];
+    }
+  });
+
+  // Others don't need account internals
+  delete profile.privacy;
+  delete profile.twoFactorEnabled;
+  delete profile.permissions;
+
+  return profile;
+};
+
+/**
+ * Instance Method: Lift suspension if it has expired
+ * 
+ * Why lazy (on login / request) instead of a cron job?
+ * - No scheduler in this app
+ * - Only matters when the user actually comes back
+ * 
+ * Usage: if (await user.liftExpiredSuspension()) { ...now active... }
+ * 
+ * @returns {Promise<boolean>} - true if the suspension was lifted
+ */
+userSchema.methods.liftExpiredSuspension = async function () {
+  if (
+    this.isActive ||
+    this.deletedAt ||
+    !this.suspension?.until ||
+    this.suspension.until > new Date()
+  ) {
+    return false;
+  }
+
+  const before = { isActive: false, suspension: this.suspension.toObject() };
+
+  this.isActive = true;
+  this.suspension = { reason: '', until: null, by: null, at: null };
+  await this.save();
+
+  // Use model name to avoid circular import (audit → user)
+  await mongoose.model('AuditLog').create({
+    actor: null,
+    action: 'user.suspension_expired',
+    targetModel: 'User',
+    target: this._id,
+    before,
+    after: { isActive: true },
+  });
+
+  return true;
+};
+
+/**
+ * Static Method: Check if user's phone is verified
+ * 
+ * Usage: await User.isPhoneVerified(userId)
+ */
+userSchema.statics.isPhoneVerified = async function (userId) {
+  const user = await this.findById(userId).select('isPhoneVerified');
+  return !!user?.isPhoneVerified;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
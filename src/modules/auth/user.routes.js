@@ -1,6 +1,10 @@
 import express from 'express';
 import authController from './auth.controller.js';
-import { protect } from '../../middleware/auth.middleware.js';
+import userAdminController from './userAdmin.controller.js';
+import accountController from './account.controller.js';
+import blockController from '../friends/block.controller.js';
+import followController from '../friends/follow.controller.js';
+import { protect, requirePermission } from '../../middleware/auth.middleware.js';
 import { upload } from '../../config/cloudinary.js';
 
 const router = express.Router();
@@ -14,6 +18,21 @@ router.get('/', protect, authController.getAllUsers.bind(authController));
 // Search users (must come before /:id to avoid conflict)
 router.get('/search', protect, authController.searchUsers.bind(authController));
 
+// Own account: data export & deletion (must come before /:id)
+router.get('/me/export', protect, accountController.exportData.bind(accountController));
+router.delete('/me', protect, accountController.deleteAccount.bind(accountController));
+
+// Own block / mute list (must come before /:id)
+router.get('/me/blocks', protect, blockController.getBlockList.bind(blockController));
+
+// Admin: list users by role / status (must come before /:id)
+router.get(
+  '/admin/list',
+  protect,
+  requirePermission('user:manage'),
+  userAdminController.listUsers.bind(userAdminController)
+);
+
 // Profile picture upload
 router.post(
   '/upload-picture',
@@ -22,12 +41,85 @@ router.post(
   authController.uploadProfilePicture.bind(authController)
 );
 
+// Cover photo upload
+router.post(
+  '/upload-cover',
+  protect,
+  upload.single('image'),
+  authController.uploadCoverPhoto.bind(authController)
+);
+
 // Get user profile
 router.get('/:id', protect, authController.getUserProfile.bind(authController));
 
 // Update profile
 router.put('/:id', protect, authController.updateProfile.bind(authController));
 
+// Remove profile picture (own, or user:manage)
+router.delete(
+  '/:id/profile-picture',
+  protect,
+  authController.removeProfilePicture.bind(authController)
+);
+
+// Block / mute
+router.post('/:id/block', protect, blockController.blockUser.bind(blockController));
+router.delete('/:id/block', protect, blockController.unblockUser.bind(blockController));
+router.post('/:id/mute', protect, blockController.muteUser.bind(blockController));
+router.delete('/:id/mute', protect, blockController.unmuteUser.bind(blockController));
+
+// Follow (one-way)
+router.post('/:id/follow', protect, followController.follow.bind(followController));
+router.delete('/:id/follow', protect, followController.unfollow.bind(followController));
+router.get('/:id/followers', protect, followController.getFollowers.bind(followController));
+router.get('/:id/following', protect, followController.getFollowing.bind(followController));
+
+// Unlock login (user:unlock)
+router.patch(
+  '/:id/unlock',
+  protect,
+  requirePermission('user:unlock'),
+  authController.unlockUser.bind(authController)
+);
+
+// Admin: role, suspension, soft delete, audit trail
+router.patch(
+  '/:id/role',
+  protect,
+  requirePermission('user:manage'),
+  userAdminController.changeRole.bind(userAdminController)
+);
+router.patch(
+  '/:id/permissions',
+  protect,
+  requirePermission('user:grant-permission'),
+  userAdminController.updatePermissions.bind(userAdminController)
+);
+router.patch(
+  '/:id/suspend',
+  protect,
+  requirePermission('user:manage'),
+  userAdminController.suspendUser.bind(userAdminController)
+);
+router.patch(
+  '/:id/reactivate',
+  protect,
+  requirePermission('user:manage'),
+  userAdminController.reactivateUser.bind(userAdminController)
+);
+router.delete(
+  '/:id',
+  protect,
+  requirePermission('user:manage'),
+  userAdminController.deleteUser.bind(userAdminController)
+);
+router.get(
+  '/:id/audit',
+  protect,
+  requirePermission('user:manage'),
+  userAdminController.getUserAuditLog.bind(userAdminController)
+);
+
 // Update donation amount
 router.put(
   '/:id/donation',
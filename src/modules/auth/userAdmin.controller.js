@@ -0,0 +1,195 @@
+import userAdminService from './userAdmin.service.js';
+
+/**
+ * User Admin Controller
+ * 
+ * All routes: protect + requirePermission('user:manage' | 'user:grant-permission')
+ */
+
+class UserAdminController {
+  /**
+   * @desc    List users (filter by role / status)
+   * @route   GET /api/users/admin/list?role=&status=&q=&page=&limit=
+   * @access  Private (user:manage)
+   */
+  async listUsers(req, res, next) {
+    try {
+      const result = await userAdminService.listUsers(req.query);
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Change user role
+   * @route   PATCH /api/users/:id/role
+   * @access  Private (user:manage)
+   */
+  async changeRole(req, res, next) {
+    try {
+      const { role, reason } = req.body || {};
+
+      const user = await userAdminService.changeRole(
+        req.params.id,
+        role,
+        {
+          _id: req.user._id,
+          role: req.user.role,
+          extraPermissions: req.user.extraPermissions,
+          ip: req.ip,
+        },
+        reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Role changed to ${user.role}`,
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Grant / revoke extra permissions
+   * @route   PATCH /api/users/:id/permissions
+   * @access  Private (user:grant-permission)
+   */
+  async updatePermissions(req, res, next) {
+    try {
+      const { grant, revoke, reason } = req.body || {};
+
+      const user = await userAdminService.updatePermissions(
+        req.params.id,
+        { grant, revoke },
+        {
+          _id: req.user._id,
+          role: req.user.role,
+          extraPermissions: req.user.extraPermissions,
+          ip: req.ip,
+        },
+        reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Permissions updated',
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Suspend user
+   * @route   PATCH /api/users/:id/suspend
+   * @access  Private (user:manage)
+   */
+  async suspendUser(req, res, next) {
+    try {
+      const user = await userAdminService.suspendUser(req.params.id, req.body || {}, {
+        _id: req.user._id,
+        role: req.user.role,
+        extraPermissions: req.user.extraPermissions,
+        ip: req.ip,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'User suspended',
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reactivate suspended user
+   * @route   PATCH /api/users/:id/reactivate
+   * @access  Private (user:manage)
+   */
+  async reactivateUser(req, res, next) {
+    try {
+      const user = await userAdminService.reactivateUser(
+        req.params.id,
+        {
+          _id: req.user._id,
+          role: req.user.role,
+          extraPermissions: req.user.extraPermissions,
+          ip: req.ip,
+        },
+        req.body?.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'User reactivated',
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Soft delete user
+   * @route   DELETE /api/users/:id
+   * @access  Private (user:manage)
+   */
+  async deleteUser(req, res, next) {
+    try {
+      await userAdminService.deleteUser(
+        req.params.id,
+        {
+          _id: req.user._id,
+          role: req.user.role,
+          extraPermissions: req.user.extraPermissions,
+          ip: req.ip,
+        },
+        req.body?.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'User deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get audit trail of a user
+   * @route   GET /api/users/:id/audit
+   * @access  Private (user:manage)
+   */
+  async getUserAuditLog(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await userAdminService.getUserAuditLog(
+        req.params.id,
+        page,
+        limit
+      );
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new UserAdminController();
@@ -0,0 +1,435 @@
+import User from './user.model.js';
+import authService from './auth.service.js';
+import auditService from '../audit/audit.service.js';
+import {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getUserPermissions,
+} from '../../config/permissions.js';
+
+/**
+ * User Admin Service Layer
+ * 
+ * Staff-only user management:
+ * - List users by role / status
+ * - Change role
+ * - Suspend / reactivate
+ * - Soft delete
+ * 
+ * Every change is written to the audit trail.
+ */
+
+const ROLES = ['user', 'librarian', 'manager', 'admin'];
+const ADMIN_FIELDS =
+  'name phone email role extraPermissions profilePicture isActive isPhoneVerified suspension warnings deletedAt createdAt';
+
+class UserAdminService {
+  /**
+   * Find target user for an admin action
+   * 
+   * Security:
+   * - Admin cannot act on own account (no self-lockout / self-promotion)
+   * - Nobody can act on a user holding permissions they lack
+   *   (e.g. a user:manage grant cannot suspend or delete an admin)
+   * 
+   * @param {string} targetId
+   * @param {Object} actor - { _id, role, extraPermissions }
+   * @returns {Promise<Object>} - User document
+   */
+  async findTarget(targetId, actor) {
+    if (targetId.toString() === actor._id.toString()) {
+      const error = new Error('You cannot change your own account');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findById(targetId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (user.deletedAt) {
+      const error = new Error('User has been deleted');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.assertActorHolds(actor, getUserPermissions(user));
+
+    return user;
+  }
+
+  /**
+   * Make sure at least one active admin remains
+   * 
+   * @param {Object} user - Target user (about to lose admin access)
+   */
+  async assertNotLastAdmin(user) {
+    if (user.role !== 'admin' || !user.isActive) return;
+
+    const activeAdmins = await User.countDocuments({
+      role: 'admin',
+      isActive: true,
+    });
+
+    if (activeAdmins <= 1) {
+      const error = new Error('Cannot remove the last active admin');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure the actor holds every permission they hand out
+   * 
+   * Stops privilege escalation: nobody can assign a role or grant
+   * a permission that gives more than they have themselves
+   * 
+   * @param {Object} actor - { role, extraPermissions }
+   * @param {string[]} permissions
+   */
+  assertActorHolds(actor, permissions) {
+    const own = getUserPermissions(actor);
+    const missing = permissions.filter((p) => !own.includes(p));
+
+    if (missing.length > 0) {
+      const error = new Error(`You do not hold: ${missing.join(', ')}`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * List users for admin panel
+   * 
+   * @param {Object} query - { role, status, q, page, limit }
+   *   status: active | suspended | deleted
+   * @returns {Promise<Object>}
+   */
+  async listUsers(query = {}) {
+    const { role, status, q } = query;
+    const page = parseInt(query.page) || 1;
+    const limit = Math.min(parseInt(query.limit) || 20, 100);
+
+    const filter = {};
+
+    if (role) {
+      if (!ROLES.includes(role)) {
+        const error = new Error(`${role} is not a valid role`);
+        error.statusCode = 400;
+        throw error;
+      }
+      filter.role = role;
+    }
+
+    if (status === 'active') {
+      filter.isActive = true;
+    } else if (status === 'suspended') {
+      filter.isActive = false;
+      filter.deletedAt = null;
+    } else if (status === 'deleted') {
+      filter.deletedAt = { $ne: null };
+    } else if (status) {
+      const error = new Error('Status must be active, suspended or deleted');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (typeof q === 'string' && q.trim()) {
+      const escaped = q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { name: { $regex: escaped, $options: 'i' } },
+        { phone: { $regex: escaped, $options: 'i' } },
+        { email: { $regex: escaped, $options: 'i' } },
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(ADMIN_FIELDS)
+        .populate('suspension.by', 'name')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      User.countDocuments(filter),
+    ]);
+
+    return {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Change user's role
+   * 
+   * Security:
+   * - New role cannot give more than the actor's own permissions
+   * - Users with permissions the actor lacks (e.g. admins) cannot be changed
+   * 
+   * @param {string} targetId
+   * @param {string} role - New role
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   * @param {string} reason
+   * @returns {Promise<Object>}
+   */
+  async changeRole(targetId, role, actor, reason = '') {
+    if (!ROLES.includes(role)) {
+      const error = new Error(`${role} is not a valid role`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.assertActorHolds(actor, ROLE_PERMISSIONS[role]);
+
+    const user = await this.findTarget(targetId, actor);
+
+    if (user.role === role) {
+      const error = new Error(`User is already ${role}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (role !== 'admin') {
+      await this.assertNotLastAdmin(user);
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await auditService.record({
+      actor: actor._id,
+      action: 'user.role_changed',
+      targetModel: 'User',
+      target: user._id,
+      before: { role: previousRole },
+      after: { role },
+      reason,
+      ip: actor.ip,
+    });
+
+    return User.findById(user._id).select(ADMIN_FIELDS);
+  }
+
+  /**
+   * Grant / revoke extra permissions (role stays the same)
+   * 
+   * Security: only permissions the actor holds can be granted or revoked
+   * 
+   * @param {string} targetId
+   * @param {Object} data - { grant: string[], revoke: string[] }
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   * @param {string} reason
+   * @returns {Promise<Object>}
+   */
+  async updatePermissions(targetId, { grant = [], revoke = [] }, actor, reason = '') {
+    if (!Array.isArray(grant) || !Array.isArray(revoke)) {
+      const error = new Error('grant and revoke must be arrays');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (grant.length === 0 && revoke.length === 0) {
+      const error = new Error('Please provide permissions to grant or revoke');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const invalid = [...grant, ...revoke].filter((p) => !PERMISSIONS.includes(p));
+    if (invalid.length > 0) {
+      const error = new Error(`Invalid permission: ${invalid.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.assertActorHolds(actor, [...grant, ...revoke]);
+
+    const user = await this.findTarget(targetId, actor);
+
+    const previous = [...user.extraPermissions];
+    const next = new Set(previous);
+    grant.forEach((p) => next.add(p));
+    revoke.forEach((p) => next.delete(p));
+
+    user.extraPermissions = [...next];
+    await user.save();
+
+    await auditService.record({
+      actor: actor._id,
+      action: 'user.permissions_changed',
+      targetModel: 'User',
+      target: user._id,
+      before: { extraPermissions: previous },
+      after: { extraPermissions: user.extraPermissions },
+      reason,
+      ip: actor.ip,
+    });
+
+    return User.findById(user._id).select(ADMIN_FIELDS);
+  }
+
+  /**
+   * Suspend user
+   * 
+   * - isActive = false → protect/login/socket reject
+   * - All sessions revoked immediately
+   * - Optional `until` → lifted automatically after that date
+   * 
+   * @param {string} targetId
+   * @param {Object} data - { reason, until }
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   * @returns {Promise<Object>}
+   */
+  async suspendUser(targetId, { reason, until }, actor) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      const error = new Error('Please provide a suspension reason');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let untilDate = null;
+    if (until) {
+      untilDate = new Date(until);
+      if (Number.isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+        const error = new Error('Suspension end date must be in the future');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    const user = await this.findTarget(targetId, actor);
+
+    if (!user.isActive) {
+      const error = new Error('User is already suspended');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.assertNotLastAdmin(user);
+
+    user.isActive = false;
+    user.suspension = {
+      reason: reason.trim(),
+      until: untilDate,
+      by: actor._id,
+      at: new Date(),
+    };
+    await user.save();
+
+    await authService.logoutAll(user._id);
+
+    await auditService.record({
+      actor: actor._id,
+      action: 'user.suspended',
+      targetModel: 'User',
+      target: user._id,
+      before: { isActive: true },
+      after: { isActive: false, until: untilDate },
+      reason: reason.trim(),
+      ip: actor.ip,
+    });
+
+    return User.findById(user._id).select(ADMIN_FIELDS);
+  }
+
+  /**
+   * Reactivate suspended user
+   * 
+   * @param {string} targetId
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   * @param {string} reason
+   * @returns {Promise<Object>}
+   */
+  async reactivateUser(targetId, actor, reason = '') {
+    const user = await this.findTarget(targetId, actor);
+
+    if (user.isActive) {
+      const error = new Error('User is not suspended');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const before = { isActive: false, suspension: user.suspension.toObject() };
+
+    user.isActive = true;
+    user.suspension = { reason: '', until: null, by: null, at: null };
+    await user.save();
+
+    await auditService.record({
+      actor: actor._id,
+      action: 'user.reactivated',
+      targetModel: 'User',
+      target: user._id,
+      before,
+      after: { isActive: true },
+      reason,
+      ip: actor.ip,
+    });
+
+    return User.findById(user._id).select(ADMIN_FIELDS);
+  }
+
+  /**
+   * Soft delete user
+   * 
+   * Why soft?
+   * - Donations, book requests, messages reference the user
+   * - Record stays for accounting, account can no longer be used
+   * 
+   * @param {string} targetId
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   * @param {string} reason
+   * @returns {Promise<void>}
+   */
+  async deleteUser(targetId, actor, reason = '') {
+    const user = await this.findTarget(targetId, actor);
+
+    await this.assertNotLastAdmin(user);
+
+    const before = { isActive: user.isActive };
+
+    user.isActive = false;
+    user.deletedAt = new Date();
+    await user.save();
+
+    await authService.logoutAll(user._id);
+
+    await auditService.record({
+      actor: actor._id,
+      action: 'user.deleted',
+      targetModel: 'User',
+      target: user._id,
+      before,
+      after: { isActive: false, deletedAt: user.deletedAt },
+      reason,
+      ip: actor.ip,
+    });
+  }
+
+  /**
+   * Get audit trail of a user
+   * 
+   * @param {string} targetId
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getUserAuditLog(targetId, page = 1, limit = 20) {
+    return auditService.getLogs(
+      { targetModel: 'User', target: targetId },
+      page,
+      limit
+    );
+  }
+}
+
+export default new UserAdminService();
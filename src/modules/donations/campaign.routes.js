@@ -1,6 +1,6 @@
 import express from "express";
 import multer from "multer";
-import { protect, authorize } from "../../middleware/auth.middleware.js";
+import { protect, requirePermission } from "../../middleware/auth.middleware.js";
 import * as campaignController from "./campaign.controller.js";
 
 const router = express.Router();
@@ -35,7 +35,7 @@ router.get("/:id", campaignController.getCampaignById);
 router.post(
   "/",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("campaign:manage"),
   campaignController.createCampaign
 );
 
@@ -43,7 +43,7 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("campaign:manage"),
   campaignController.updateCampaign
 );
 
@@ -51,7 +51,7 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("campaign:manage"),
   campaignController.deleteCampaign
 );
 
@@ -59,7 +59,7 @@ router.delete(
 router.post(
   "/:id/cover",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("campaign:manage"),
   imageUpload.single("cover"),
   campaignController.uploadCover
 );
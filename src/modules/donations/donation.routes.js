@@ -1,6 +1,6 @@
 import express from "express";
 import multer from "multer";
-import { protect, authorize } from "../../middleware/auth.middleware.js";
+import { protect, requirePermission } from "../../middleware/auth.middleware.js";
 import * as donationController from "./donation.controller.js";
 
 const router = express.Router();
@@ -63,7 +63,7 @@ router.get("/my", protect, donationController.getUserDonations);
 router.get(
   "/",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("donation:read-all"),
   donationController.getAllDonations
 );
 
@@ -71,7 +71,7 @@ router.get(
 router.get(
   "/analytics",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("donation:analytics"),
   donationController.getAnalytics
 );
 
@@ -79,7 +79,7 @@ router.get(
 router.get(
   "/:id",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("donation:read-all"),
   donationController.getDonationById
 );
 
@@ -87,7 +87,7 @@ router.get(
 router.patch(
   "/:id/approve",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("donation:approve"),
   donationController.approveDonation
 );
 
@@ -95,7 +95,7 @@ router.patch(
 router.patch(
   "/:id/reject",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("donation:approve"),
   donationController.rejectDonation
 );
 
@@ -22,9 +22,9 @@ const notifyUser = (userId, event, data) => {
   try {
     const io = getSocketInstance();
     const onlineUsers = getOnlineUsers();
-    const socketId = onlineUsers.get(userId.toString());
-    if (socketId) {
-      io.to(socketId).emit(event, data);
+    if (onlineUsers.has(userId.toString())) {
+      // User's room reaches every open tab / device
+      io.to(userId.toString()).emit(event, data);
     }
   } catch {
     // Socket not initialized
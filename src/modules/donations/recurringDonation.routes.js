@@ -1,5 +1,5 @@
 import express from "express";
-import { protect, authorize } from "../../middleware/auth.middleware.js";
+import { protect, requirePermission } from "../../middleware/auth.middleware.js";
 import * as recurringController from "./recurringDonation.controller.js";
 
 const router = express.Router();
@@ -34,7 +34,7 @@ router.post("/:id/pay", protect, recurringController.makeRecurringPayment);
 router.get(
   "/",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("recurring-donation:read-all"),
   recurringController.getAllRecurringDonations
 );
 
@@ -42,7 +42,7 @@ router.get(
 router.get(
   "/overdue",
   protect,
-  authorize("manager", "admin"),
+  requirePermission("recurring-donation:read-all"),
   recurringController.getOverdueRecurringDonations
 );
 
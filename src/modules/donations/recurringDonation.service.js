@@ -1,6 +1,8 @@
 import RecurringDonation from "./recurringDonation.model.js";
 import Donation from "./donation.model.js";
 import Campaign from "./campaign.model.js";
+import User from "../auth/user.model.js";
+import { config } from "../../config/env.js";
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // USER ACTIONS
@@ -11,6 +13,16 @@ export const createRecurringDonation = async (userId, recurringData) => {
   const { amount, frequency, campaignId, paymentMethod, isAnonymous } =
     recurringData;
 
+  // Optional gate: only verified phone numbers can pledge
+  if (
+    config.phoneVerification.requiredForRecurring &&
+    !(await User.isPhoneVerified(userId))
+  ) {
+    const err = new Error("Please verify your phone number before setting up a recurring donation");
+    err.statusCode = 403;
+    throw err;
+  }
+
   // Validate campaign
   if (campaignId) {
     const campaign = await Campaign.findById(campaignId);
@@ -0,0 +1,98 @@
+import blockService from './block.service.js';
+
+class BlockController {
+  /**
+   * @desc    Block user
+   * @route   POST /api/users/:id/block
+   * @access  Private
+   */
+  async blockUser(req, res, next) {
+    try {
+      const block = await blockService.blockUser(req.user._id, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User blocked',
+        data: block,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Unblock user
+   * @route   DELETE /api/users/:id/block
+   * @access  Private
+   */
+  async unblockUser(req, res, next) {
+    try {
+      await blockService.unblockUser(req.user._id, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User unblocked',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Mute user
+   * @route   POST /api/users/:id/mute
+   * @access  Private
+   */
+  async muteUser(req, res, next) {
+    try {
+      const mute = await blockService.muteUser(req.user._id, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User muted',
+        data: mute,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Unmute user
+   * @route   DELETE /api/users/:id/mute
+   * @access  Private
+   */
+  async unmuteUser(req, res, next) {
+    try {
+      await blockService.unmuteUser(req.user._id, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User unmuted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get my blocked / muted users
+   * @route   GET /api/users/me/blocks?type=block|mute
+   * @access  Private
+   */
+  async getBlockList(req, res, next) {
+    try {
+      const list = await blockService.getBlockList(req.user._id, req.query.type);
+
+      res.status(200).json({
+        success: true,
+        count: list.length,
+        data: list,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new BlockController();
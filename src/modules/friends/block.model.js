@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+/**
+ * Block Schema
+ * 
+ * One document per (user, target, type)
+ * 
+ * Types:
+ * - block → works both ways: no friend requests, messages, comments,
+ *           profile / posts hidden from each other. Friendship removed.
+ * - mute  → one-way and silent: target's posts hidden from user's
+ *           timeline only. Friendship kept, target is not told.
+ */
+const blockSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: {
+        values: ['block', 'mute'],
+        message: '{VALUE} is not a valid type',
+      },
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - user + target + type: no duplicates, "my blocks" list
+ * - target + type: who blocked me
+ */
+blockSchema.index({ user: 1, target: 1, type: 1 }, { unique: true });
+blockSchema.index({ target: 1, type: 1 });
+
+/**
+ * Static Method: Is either user blocking the other?
+ * 
+ * Usage: if (await Block.isBlockedBetween(userA, userB)) { ... }
+ */
+blockSchema.statics.isBlockedBetween = async function (userId1, userId2) {
+  const block = await this.exists({
+    type: 'block',
+    $or: [
+      { user: userId1, target: userId2 },
+      { user: userId2, target: userId1 },
+    ],
+  });
+
+  return !!block;
+};
+
+/**
+ * Static Method: Users hidden from userId because of a block (either direction)
+ * 
+ * Usage: const hiddenIds = await Block.getBlockedIds(userId)
+ * 
+ * @returns {Promise<ObjectId[]>}
+ */
+blockSchema.statics.getBlockedIds = async function (userId) {
+  const blocks = await this.find({
+    type: 'block',
+    $or: [{ user: userId }, { target: userId }],
+  }).select('user target');
+
+  return blocks.map((b) =>
+    b.user.toString() === userId.toString() ? b.target : b.user
+  );
+};
+
+/**
+ * Static Method: Users whose posts userId doesn't want on the timeline
+ * (blocked either direction + muted by userId)
+ * 
+ * @returns {Promise<ObjectId[]>}
+ */
+blockSchema.statics.getHiddenAuthorIds = async function (userId) {
+  const [blockedIds, mutes] = await Promise.all([
+    this.getBlockedIds(userId),
+    this.find({ user: userId, type: 'mute' }).select('target'),
+  ]);
+
+  return [...blockedIds, ...mutes.map((m) => m.target)];
+};
+
+const Block = mongoose.model('Block', blockSchema);
+
+export default Block;
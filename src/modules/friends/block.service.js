@@ -0,0 +1,159 @@
+import Block from './block.model.js';
+import Friendship from './friendship.model.js';
+import Follow from './follow.model.js';
+import FriendList from './friendList.model.js';
+import User from '../auth/user.model.js';
+
+/**
+ * Block / Mute Service Layer
+ */
+
+class BlockService {
+  /**
+   * Validate target user for block / mute
+   * 
+   * @param {string} userId
+   * @param {string} targetId
+   * @returns {Promise<Object>} - Target user
+   */
+  async findTarget(userId, targetId) {
+    if (userId.toString() === targetId.toString()) {
+      const error = new Error('You cannot block or mute yourself');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const target = await User.findById(targetId).select('name');
+    if (!target) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return target;
+  }
+
+  /**
+   * Block user
+   * 
+   * Also removes any friendship / pending request / follow between the two
+   * 
+   * @param {string} userId
+   * @param {string} targetId
+   * @returns {Promise<Object>}
+   */
+  async blockUser(userId, targetId) {
+    await this.findTarget(userId, targetId);
+
+    const block = await Block.findOneAndUpdate(
+      { user: userId, target: targetId, type: 'block' },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await Promise.all([
+      Friendship.deleteMany({
+        $or: [
+          { requester: userId, recipient: targetId },
+          { requester: targetId, recipient: userId },
+        ],
+      }),
+      Follow.deleteMany({
+        $or: [
+          { follower: userId, following: targetId },
+          { follower: targetId, following: userId },
+        ],
+      }),
+      FriendList.removeBetween(userId, targetId),
+    ]);
+
+    return block;
+  }
+
+  /**
+   * Unblock user
+   * 
+   * Friendship is NOT restored (must send a new request)
+   * 
+   * @param {string} userId
+   * @param {string} targetId
+   * @returns {Promise<void>}
+   */
+  async unblockUser(userId, targetId) {
+    const result = await Block.deleteOne({
+      user: userId,
+      target: targetId,
+      type: 'block',
+    });
+
+    if (result.deletedCount === 0) {
+      const error = new Error('User is not blocked');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Mute user (hide posts from timeline, stay friends)
+   * 
+   * @param {string} userId
+   * @param {string} targetId
+   * @returns {Promise<Object>}
+   */
+  async muteUser(userId, targetId) {
+    await this.findTarget(userId, targetId);
+
+    return Block.findOneAndUpdate(
+      { user: userId, target: targetId, type: 'mute' },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Unmute user
+   * 
+   * @param {string} userId
+   * @param {string} targetId
+   * @returns {Promise<void>}
+   */
+  async unmuteUser(userId, targetId) {
+    const result = await Block.deleteOne({
+      user: userId,
+      target: targetId,
+      type: 'mute',
+    });
+
+    if (result.deletedCount === 0) {
+      const error = new Error('User is not muted');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Get users blocked / muted by userId
+   * 
+   * @param {string} userId
+   * @param {string} [type] - block | mute (default: both)
+   * @returns {Promise<Array>}
+   */
+  async getBlockList(userId, type) {
+    const filter = { user: userId };
+
+    if (type) {
+      if (!['block', 'mute'].includes(type)) {
+        const error = new Error('Type must be block or mute');
+        error.statusCode = 400;
+        throw error;
+      }
+      filter.type = type;
+    }
+
+    return Block.find(filter)
+      .populate('target', 'name profilePicture')
+      .sort({ createdAt: -1 });
+  }
+}
+
+export default new BlockService();
@@ -0,0 +1,84 @@
+import followService from './follow.service.js';
+
+class FollowController {
+  /**
+   * @desc    Follow user
+   * @route   POST /api/users/:id/follow
+   * @access  Private
+   */
+  async follow(req, res, next) {
+    try {
+      const follow = await followService.follow(req.user._id, req.params.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'User followed',
+        data: follow,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Unfollow user
+   * @route   DELETE /api/users/:id/follow
+   * @access  Private
+   */
+  async unfollow(req, res, next) {
+    try {
+      await followService.unfollow(req.user._id, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User unfollowed',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get followers of a user
+   * @route   GET /api/users/:id/followers
+   * @access  Private
+   */
+  async getFollowers(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const result = await followService.getFollowers(req.params.id, page, limit);
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get accounts a user follows
+   * @route   GET /api/users/:id/following
+   * @access  Private
+   */
+  async getFollowing(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const result = await followService.getFollowing(req.params.id, page, limit);
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new FollowController();
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * Follow Schema
+ * 
+ * One-way relationship (no acceptance needed)
+ * 
+ * Why separate from Friendship?
+ * - Friendship = mutual (request → accept)
+ * - Follow = subscribe to someone's posts (e.g. foundation staff pages)
+ */
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - follower + following: no duplicates, "following" list
+ * - following: "followers" list / count
+ */
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+
+/**
+ * Static Method: IDs of users that userId follows
+ * 
+ * Usage: const followingIds = await Follow.getFollowingIds(userId)
+ */
+followSchema.statics.getFollowingIds = async function (userId) {
+  const follows = await this.find({ follower: userId }).select('following');
+  return follows.map((f) => f.following);
+};
+
+/**
+ * Static Method: Follower / following counts
+ * 
+ * @returns {Promise<{ followers: number, following: number }>}
+ */
+followSchema.statics.getCounts = async function (userId) {
+  const [followers, following] = await Promise.all([
+    this.countDocuments({ following: userId }),
+    this.countDocuments({ follower: userId }),
+  ]);
+
+  return { followers, following };
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+
+export default Follow;
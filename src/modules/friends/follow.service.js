@@ -0,0 +1,137 @@
+import Follow from './follow.model.js';
+import Block from './block.model.js';
+import User from '../auth/user.model.js';
+
+/**
+ * Follow Service Layer
+ */
+
+class FollowService {
+  /**
+   * Follow user
+   * 
+   * @param {string} followerId - Current user
+   * @param {string} targetId - User to follow
+   * @returns {Promise<Object>}
+   */
+  async follow(followerId, targetId) {
+    if (followerId.toString() === targetId.toString()) {
+      const error = new Error('You cannot follow yourself');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const target = await User.findOne({ _id: targetId, isActive: true });
+    if (!target) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (await Block.isBlockedBetween(followerId, targetId)) {
+      const error = new Error('You cannot follow this user');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const existing = await Follow.findOne({ follower: followerId, following: targetId });
+    if (existing) {
+      const error = new Error('You already follow this user');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const follow = await Follow.create({ follower: followerId, following: targetId });
+    await follow.populate('following', 'name profilePicture role');
+
+    return follow;
+  }
+
+  /**
+   * Unfollow user
+   * 
+   * @param {string} followerId
+   * @param {string} targetId
+   * @returns {Promise<void>}
+   */
+  async unfollow(followerId, targetId) {
+    const result = await Follow.deleteOne({ follower: followerId, following: targetId });
+
+    if (result.deletedCount === 0) {
+      const error = new Error('You do not follow this user');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Get followers of a user
+   * 
+   * @param {string} userId
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getFollowers(userId, page = 1, limit = 20) {
+    return this.list({ following: userId }, 'follower', page, limit);
+  }
+
+  /**
+   * Get accounts a user follows
+   * 
+   * @param {string} userId
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getFollowing(userId, page = 1, limit = 20) {
+    return this.list({ follower: userId }, 'following', page, limit);
+  }
+
+  /**
+   * Paginated follow list (users on the `field` side)
+   */
+  async list(filter, field, page, limit) {
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .populate(field, 'name profilePicture role bio')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Follow.countDocuments(filter),
+    ]);
+
+    return {
+      // Deleted accounts populate as null
+      users: follows.map((f) => f[field]).filter(Boolean),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Follower / following counts + whether viewer follows the user
+   * 
+   * @param {string} userId
+   * @param {string} viewerId
+   * @returns {Promise<Object>}
+   */
+  async getStats(userId, viewerId) {
+    const [counts, isFollowing] = await Promise.all([
+      Follow.getCounts(userId),
+      Follow.exists({ follower: viewerId, following: userId }),
+    ]);
+
+    return {
+      followerCount: counts.followers,
+      followingCount: counts.following,
+      isFollowing: !!isFollowing,
+    };
+  }
+}
+
+export default new FollowService();
@@ -1,4 +1,19 @@
 import friendService from './friend.service.js';
+import { getIO } from '../../config/socket.js';
+
+/**
+ * Emit a friend event to a user's room
+ * 
+ * Best effort: the request already succeeded, an offline
+ * user sees the change on next fetch
+ */
+const notify = (userId, event, payload) => {
+  try {
+    getIO().to(userId.toString()).emit(event, payload);
+  } catch (socketError) {
+    console.log('⚠️  Socket.io error:', socketError.message);
+  }
+};
 
 class FriendController {
   /**
@@ -13,6 +28,12 @@ class FriendController {
         req.params.userId
       );
 
+      notify(req.params.userId, 'friendRequestReceived', {
+        friendshipId: friendship._id,
+        from: friendship.requester,
+        createdAt: friendship.updatedAt,
+      });
+
       res.status(201).json({
         success: true,
         message: 'Friend request sent',
@@ -42,6 +63,51 @@ class FriendController {
     }
   }
 
+  /**
+   * @desc    Get sent (pending) requests
+   * @route   GET /api/friends/requests/sent
+   * @access  Private
+   */
+  async getSentRequests(req, res, next) {
+    try {
+      const requests = await friendService.getSentRequests(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        count: requests.length,
+        data: requests,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Cancel a sent friend request
+   * @route   DELETE /api/friends/request/:id
+   * @access  Private
+   */
+  async cancelRequest(req, res, next) {
+    try {
+      const friendship = await friendService.cancelFriendRequest(
+        req.params.id,
+        req.user._id
+      );
+
+      notify(friendship.recipient, 'friendRequestCancelled', {
+        friendshipId: friendship._id,
+        from: req.user._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Friend request cancelled',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Accept friend request
    * @route   PUT /api/friends/accept/:id
@@ -54,6 +120,12 @@ class FriendController {
         req.user._id
       );
 
+      notify(friendship.requester._id, 'friendRequestAccepted', {
+        friendshipId: friendship._id,
+        by: friendship.recipient,
+        acceptedAt: friendship.respondedAt,
+      });
+
       res.status(200).json({
         success: true,
         message: 'Friend request accepted',
@@ -84,17 +156,24 @@ class FriendController {
 
   /**
    * @desc    Get friends list
-   * @route   GET /api/friends
+   * @route   GET /api/friends?q=&sort=recent|name&cursor=&limit=20
    * @access  Private
    */
   async getFriends(req, res, next) {
     try {
-      const friends = await friendService.getFriends(req.user._id);
+      const { q, sort, cursor } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { friends, nextCursor, hasMore } = await friendService.getFriends(
+        req.user._id,
+        { q, sort, cursor, limit }
+      );
 
       res.status(200).json({
         success: true,
         count: friends.length,
         data: friends,
+        pagination: { nextCursor, hasMore, limit },
       });
     } catch (error) {
       next(error);
@@ -126,7 +205,8 @@ class FriendController {
    */
   async getSuggestions(req, res, next) {
     try {
-      const suggestions = await friendService.getSuggestions(req.user._id);
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+      const suggestions = await friendService.getSuggestions(req.user._id, limit);
 
       res.status(200).json({
         success: true,
@@ -137,6 +217,24 @@ class FriendController {
       next(error);
     }
   }
+
+  /**
+   * @desc    Dismiss a friend suggestion (never suggest again)
+   * @route   POST /api/friends/suggestions/:userId/dismiss
+   * @access  Private
+   */
+  async dismissSuggestion(req, res, next) {
+    try {
+      await friendService.dismissSuggestion(req.user._id, req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Suggestion dismissed',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default new FriendController();
\ No newline at end of file
@@ -1,5 +1,6 @@
 import express from 'express';
 import friendController from './friend.controller.js';
+import friendListController from './friendList.controller.js';
 import { protect } from '../../middleware/auth.middleware.js';
 
 const router = express.Router();
@@ -10,15 +11,39 @@ const router = express.Router();
 
 // Get suggestions (before /:id routes)
 router.get('/suggestions', protect, friendController.getSuggestions.bind(friendController));
+router.post(
+  '/suggestions/:userId/dismiss',
+  protect,
+  friendController.dismissSuggestion.bind(friendController)
+);
 
-// Get pending requests
+// Get pending requests (received / sent)
 router.get('/requests', protect, friendController.getPendingRequests.bind(friendController));
+router.get('/requests/sent', protect, friendController.getSentRequests.bind(friendController));
+
+// Friend lists (audience groups) - before /:friendId
+router.get('/lists', protect, friendListController.getLists.bind(friendListController));
+router.post('/lists', protect, friendListController.createList.bind(friendListController));
+router.get('/lists/:id', protect, friendListController.getList.bind(friendListController));
+router.patch('/lists/:id', protect, friendListController.renameList.bind(friendListController));
+router.delete('/lists/:id', protect, friendListController.deleteList.bind(friendListController));
+router.post(
+  '/lists/:id/members',
+  protect,
+  friendListController.addMembers.bind(friendListController)
+);
+router.delete(
+  '/lists/:id/members/:userId',
+  protect,
+  friendListController.removeMember.bind(friendListController)
+);
 
 // Get friends list
 router.get('/', protect, friendController.getFriends.bind(friendController));
 
-// Send friend request
+// Send / cancel friend request
 router.post('/request/:userId', protect, friendController.sendRequest.bind(friendController));
+router.delete('/request/:id', protect, friendController.cancelRequest.bind(friendController));
 
 // Accept/Reject request
 router.put('/accept/:id', protect, friendController.acceptRequest.bind(friendController));
@@ -1,21 +1,46 @@
+import mongoose from 'mongoose';
 import Friendship from './friendship.model.js';
+import { config } from '../../config/env.js';
+import { isUserOnline } from '../../config/socket.js';
+import Block from './block.model.js';
+import SuggestionDismissal from './suggestionDismissal.model.js';
+import FriendList from './friendList.model.js';
 import User from '../auth/user.model.js';
+import Donation from '../donations/donation.model.js';
+import BookRequest from '../library/bookRequest.model.js';
 
 /**
  * Friend Service Layer
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Friends list sort options → aggregate field
+const FRIEND_SORTS = {
+  recent: { field: 'interactedAt', direction: -1, type: 'date' },
+  name: { field: 'user.name', direction: 1, type: 'string' },
+};
+
+const requestExpiry = () =>
+  new Date(Date.now() + config.friends.requestExpireDays * DAY_MS);
+
 class FriendService {
   /**
    * Send friend request
    * 
+   * One document per pair, reused when:
+   * - Previous request expired
+   * - Previous request was rejected (after cool-down if the
+   *   recipient rejected the sender; immediately if the sender
+   *   was the one who rejected)
+   * 
    * @param {string} requesterId - Who is sending
    * @param {string} recipientId - Who receives
    * @returns {Promise<Object>}
    */
   async sendFriendRequest(requesterId, recipientId) {
     // Can't send request to yourself
-    if (requesterId === recipientId) {
+    if (requesterId.toString() === recipientId.toString()) {
       const error = new Error('Cannot send friend request to yourself');
       error.statusCode = 400;
       throw error;
@@ -29,6 +54,13 @@ class FriendService {
       throw error;
     }
 
+    // Blocked either way (same message both ways: don't reveal who blocked)
+    if (await Block.isBlockedBetween(requesterId, recipientId)) {
+      const error = new Error('You cannot send a friend request to this user');
+      error.statusCode = 403;
+      throw error;
+    }
+
     // Check if friendship already exists
     const existingFriendship = await Friendship.findOne({
       $or: [
@@ -37,25 +69,60 @@ class FriendService {
       ],
     });
 
+    let friendship;
+
     if (existingFriendship) {
+      const sentByMe =
+        existingFriendship.requester.toString() === requesterId.toString();
+
       if (existingFriendship.status === 'accepted') {
         const error = new Error('You are already friends');
         error.statusCode = 400;
         throw error;
       }
-      if (existingFriendship.status === 'pending') {
-        const error = new Error('Friend request already sent');
+
+      if (existingFriendship.status === 'pending' && !existingFriendship.isExpired()) {
+        const error = new Error(
+          sentByMe
+            ? 'Friend request already sent'
+            : 'This user already sent you a friend request'
+        );
         error.statusCode = 400;
         throw error;
       }
-    }
 
-    // Create friendship request
-    const friendship = await Friendship.create({
-      requester: requesterId,
-      recipient: recipientId,
-      status: 'pending',
-    });
+      if (existingFriendship.status === 'rejected' && sentByMe) {
+        const rejectedAt = existingFriendship.respondedAt || existingFriendship.updatedAt;
+        const retryAt = new Date(
+          rejectedAt.getTime() + config.friends.resendCooldownDays * DAY_MS
+        );
+
+        if (retryAt > new Date()) {
+          const error = new Error(
+            `You can send another request after ${retryAt.toDateString()}`
+          );
+          error.statusCode = 429;
+          error.retryAfter = Math.ceil((retryAt - Date.now()) / 1000);
+          throw error;
+        }
+      }
+
+      // Reuse the pair's document (direction may flip)
+      existingFriendship.requester = requesterId;
+      existingFriendship.recipient = recipientId;
+      existingFriendship.status = 'pending';
+      existingFriendship.respondedAt = null;
+      existingFriendship.expiresAt = requestExpiry();
+      friendship = await existingFriendship.save();
+    } else {
+      // Create friendship request
+      friendship = await Friendship.create({
+        requester: requesterId,
+        recipient: recipientId,
+        status: 'pending',
+        expiresAt: requestExpiry(),
+      });
+    }
 
     await friendship.populate('requester', 'name profilePicture');
     await friendship.populate('recipient', 'name profilePicture');
@@ -72,45 +139,106 @@ class FriendService {
   async getPendingRequests(userId) {
     const requests = await Friendship.find({
       recipient: userId,
-      status: 'pending',
+      ...Friendship.pendingFilter(),
     })
       .populate('requester', 'name profilePicture bio')
-      .sort({ createdAt: -1 });
+      .sort({ updatedAt: -1 });
 
     return requests;
   }
 
   /**
-   * Accept friend request
+   * Get friend requests sent by user (still pending)
+   * 
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getSentRequests(userId) {
+    const requests = await Friendship.find({
+      requester: userId,
+      ...Friendship.pendingFilter(),
+    })
+      .populate('recipient', 'name profilePicture bio')
+      .sort({ updatedAt: -1 });
+
+    return requests;
+  }
+
+  /**
+   * Cancel (withdraw) a sent friend request
+   * 
+   * @param {string} friendshipId
+   * @param {string} userId - Must be requester
+   * @returns {Promise<Object>} - Cancelled request (for notification)
+   */
+  async cancelFriendRequest(friendshipId, userId) {
+    const friendship = await Friendship.findById(friendshipId);
+
+    if (!friendship || friendship.status !== 'pending') {
+      const error = new Error('Friend request not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Only requester can cancel
+    if (friendship.requester.toString() !== userId.toString()) {
+      const error = new Error('You cannot cancel this request');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    await friendship.deleteOne();
+
+    return friendship;
+  }
+
+  /**
+   * Find a pending request the user may answer
    * 
    * @param {string} friendshipId
    * @param {string} userId - Must be recipient
+   * @param {string} action - accept | reject (for error message)
    * @returns {Promise<Object>}
    */
-  async acceptFriendRequest(friendshipId, userId) {
+  async findRequestToAnswer(friendshipId, userId, action) {
     const friendship = await Friendship.findById(friendshipId);
 
-    if (!friendship) {
+    if (!friendship || friendship.isExpired()) {
       const error = new Error('Friend request not found');
       error.statusCode = 404;
       throw error;
     }
 
-    // Only recipient can accept
+    // Only recipient can answer
     if (friendship.recipient.toString() !== userId.toString()) {
-      const error = new Error('You cannot accept this request');
+      const error = new Error(`You cannot ${action} this request`);
       error.statusCode = 403;
       throw error;
     }
 
-    // Already accepted
-    if (friendship.status === 'accepted') {
-      const error = new Error('Friend request already accepted');
+    // Only pending requests (a rejected request cannot be accepted later)
+    if (friendship.status !== 'pending') {
+      const error = new Error(`Friend request already ${friendship.status}`);
       error.statusCode = 400;
       throw error;
     }
 
+    return friendship;
+  }
+
+  /**
+   * Accept friend request
+   * 
+   * @param {string} friendshipId
+   * @param {string} userId - Must be recipient
+   * @returns {Promise<Object>}
+   */
+  async acceptFriendRequest(friendshipId, userId) {
+    const friendship = await this.findRequestToAnswer(friendshipId, userId, 'accept');
+
     friendship.status = 'accepted';
+    friendship.respondedAt = new Date();
+    friendship.expiresAt = null;
     await friendship.save();
 
     await friendship.populate('requester', 'name profilePicture');
@@ -127,67 +255,142 @@ class FriendService {
    * @returns {Promise<void>}
    */
   async rejectFriendRequest(friendshipId, userId) {
-    const friendship = await Friendship.findById(friendshipId);
+    const friendship = await this.findRequestToAnswer(friendshipId, userId, 'reject');
 
-    if (!friendship) {
-      const error = new Error('Friend request not found');
-      error.statusCode = 404;
+    friendship.status = 'rejected';
+    friendship.respondedAt = new Date();
+    friendship.expiresAt = null;
+    await friendship.save();
+  }
+
+  /**
+   * Get friends (cursor paginated)
+   * 
+   * Sort:
+   * - recent → last message / like / comment between us first (default)
+   * - name   → A to Z
+   * 
+   * Cursor = opaque string from previous page's nextCursor
+   * (sort value + id, so new friendships don't shift pages)
+   * 
+   * @param {string} userId
+   * @param {Object} options - { q, sort, cursor, limit }
+   * @returns {Promise<Object>} - { friends, nextCursor, hasMore }
+   *   Each friend has isOnline, lastSeenAt, friendsSince, lastInteractionAt
+   */
+  async getFriends(userId, { q, sort = 'recent', cursor, limit = 20 } = {}) {
+    const me = new mongoose.Types.ObjectId(userId.toString());
+    const sortConfig = FRIEND_SORTS[sort];
+
+    if (!sortConfig) {
+      const error = new Error(`Sort must be one of: ${Object.keys(FRIEND_SORTS).join(', ')}`);
+      error.statusCode = 400;
       throw error;
     }
 
-    // Only recipient can reject
-    if (friendship.recipient.toString() !== userId) {
-      const error = new Error('You cannot reject this request');
-      error.statusCode = 403;
-      throw error;
+    const { field, direction } = sortConfig;
+    const pipeline = [
+      {
+        $match: {
+          status: 'accepted',
+          $or: [{ requester: me }, { recipient: me }],
+        },
+      },
+      {
+        $addFields: {
+          friendId: { $cond: [{ $eq: ['$requester', me] }, '$recipient', '$requester'] },
+          friendsSince: { $ifNull: ['$respondedAt', '$updatedAt'] },
+          interactedAt: {
+            $ifNull: ['$lastInteractionAt', { $ifNull: ['$respondedAt', '$updatedAt'] }],
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'friendId',
+          foreignField: '_id',
+          as: 'user',
+          pipeline: [
+            { $project: { name: 1, profilePicture: 1, bio: 1, isActive: 1, lastSeenAt: 1 } },
+          ],
+        },
+      },
+      { $unwind: '$user' },
+      { $match: { 'user.isActive': true } },
+    ];
+
+    if (typeof q === 'string' && q.trim()) {
+      const escaped = q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      pipeline.push({ $match: { 'user.name': { $regex: escaped, $options: 'i' } } });
     }
 
-    friendship.status = 'rejected';
-    await friendship.save();
+    if (cursor) {
+      const { value, id } = this.decodeCursor(cursor, sortConfig);
+      const op = direction === 1 ? '$gt' : '$lt';
+      pipeline.push({
+        $match: {
+          $or: [
+            { [field]: { [op]: value } },
+            { [field]: value, _id: { [op]: id } },
+          ],
+        },
+      });
+    }
+
+    pipeline.push(
+      { $sort: { [field]: direction, _id: direction } },
+      { $limit: limit + 1 }
+    );
+
+    const rows = await Friendship.aggregate(pipeline);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    const friends = page.map((row) => ({
+      _id: row.user._id,
+      name: row.user.name,
+      profilePicture: row.user.profilePicture,
+      bio: row.user.bio,
+      friendshipId: row._id,
+      friendsSince: row.friendsSince,
+      lastInteractionAt: row.interactedAt,
+      isOnline: isUserOnline(row.user._id),
+      lastSeenAt: isUserOnline(row.user._id) ? null : row.user.lastSeenAt || null,
+    }));
+
+    return {
+      friends,
+      nextCursor: hasMore ? this.encodeCursor(last, sortConfig) : null,
+      hasMore,
+    };
   }
 
- /**
- * Get all friends
- * 
- * @param {string} userId
- * @returns {Promise<Array>}
- */
-async getFriends(userId) {
-  const userIdString = userId.toString();
-  
-
-  const friendships = await Friendship.find({
-    $or: [
-      { requester: userId, status: 'accepted' },
-      { recipient: userId, status: 'accepted' },
-    ],
-  })
-    .populate('requester', 'name profilePicture bio')
-    .populate('recipient', 'name profilePicture bio')
-    .sort({ updatedAt: -1 });
-
-
-  // Extract friend data (the OTHER user, not self)
-  const friends = friendships.map((friendship) => {
-    // Debug log
-    const requesterId = friendship.requester._id.toString();
-    const recipientId = friendship.recipient._id.toString();
-
-    // If current user is requester, return recipient
-    // If current user is recipient, return requester
-    if (requesterId === userIdString) {
-      console.log('   → Returning recipient:', friendship.recipient.name);
-      return friendship.recipient;
-    } else {
-      console.log('   → Returning requester:', friendship.requester.name);
-      return friendship.requester;
-    }
-  });
+  /**
+   * Cursor helpers (base64url JSON: { v: sort value, id: friendship id })
+   */
+  encodeCursor(row, { field }) {
+    const value = field.split('.').reduce((obj, key) => obj?.[key], row);
+    return Buffer.from(JSON.stringify({ v: value, id: row._id })).toString('base64url');
+  }
 
+  decodeCursor(cursor, { type }) {
+    try {
+      const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      const value = type === 'date' ? new Date(v) : String(v);
 
+      if (!mongoose.Types.ObjectId.isValid(id) || (type === 'date' && isNaN(value))) {
+        throw new Error();
+      }
 
-  return friends;
-}
+      return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+      const error = new Error('Invalid cursor');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
 
   /**
    * Unfriend
@@ -212,36 +415,253 @@ async getFriends(userId) {
     }
 
     await friendship.deleteOne();
+    await FriendList.removeBetween(userId, friendId);
   }
 
   /**
-   * Get friend suggestions (users not yet friends)
+   * Get friend suggestions
+   * 
+   * Ranking (higher = better):
+   * - Mutual friends            × 3
+   * - Campaigns both donated to × 2 (anonymous donations don't count)
+   * - Books both borrowed       × 1
+   * 
+   * Never suggested: self, anyone with a friendship record (any status),
+   * blocked either way, dismissed.
+   * New members with no signals get recent active users instead.
    * 
    * @param {string} userId
-   * @returns {Promise<Array>}
+   * @param {number} limit
+   * @returns {Promise<Array>} - Users with mutualFriendCount, mutualFriends
+   *   (sample of up to 3), sharedCampaignCount, sharedBookCount
    */
-  async getSuggestions(userId) {
-    // Get existing friendships
-    const friendships = await Friendship.find({
-      $or: [{ requester: userId }, { recipient: userId }],
-    });
+  async getSuggestions(userId, limit = 10) {
+    const userIdString = userId.toString();
+
+    const [friendships, blockedIds, dismissals] = await Promise.all([
+      Friendship.find({
+        $or: [{ requester: userId }, { recipient: userId }],
+      }).select('requester recipient status'),
+      Block.getBlockedIds(userId),
+      SuggestionDismissal.find({ user: userId }).select('dismissed'),
+    ]);
+
+    const otherSide = (f) =>
+      f.requester.toString() === userIdString ? f.recipient : f.requester;
+
+    const friendIds = friendships
+      .filter((f) => f.status === 'accepted')
+      .map(otherSide);
+
+    const excluded = new Set([
+      userIdString,
+      ...friendships.map((f) => otherSide(f).toString()),
+      ...blockedIds.map((id) => id.toString()),
+      ...dismissals.map((d) => d.dismissed.toString()),
+    ]);
+
+    const [mutuals, sharedCampaigns, sharedBooks] = await Promise.all([
+      this.findMutualFriends(friendIds),
+      this.findSharedCampaignDonors(userId),
+      this.findSharedBorrowers(userId),
+    ]);
+
+    // candidateId → signals
+    const candidates = new Map();
+    const candidate = (id) => {
+      const key = id.toString();
+      if (!candidates.has(key)) {
+        candidates.set(key, { mutualFriendIds: [], sharedCampaignCount: 0, sharedBookCount: 0 });
+      }
+      return candidates.get(key);
+    };
 
-    // Extract user IDs to exclude
-    const excludeIds = friendships.map((f) =>
-      f.requester.toString() === userId ? f.recipient : f.requester
-    );
-    excludeIds.push(userId); // Exclude self
+    mutuals.forEach(({ _id, mutualFriendIds }) => {
+      candidate(_id).mutualFriendIds = mutualFriendIds;
+    });
+    sharedCampaigns.forEach(({ _id, count }) => {
+      candidate(_id).sharedCampaignCount = count;
+    });
+    sharedBooks.forEach(({ _id, count }) => {
+      candidate(_id).sharedBookCount = count;
+    });
 
-    // Find users not in exclude list
-    const suggestions = await User.find({
-      _id: { $nin: excludeIds },
+    const ranked = [...candidates.entries()]
+      .filter(([id]) => !excluded.has(id))
+      .map(([id, signals]) => ({
+        id,
+        ...signals,
+        score:
+          signals.mutualFriendIds.length * 3 +
+          signals.sharedCampaignCount * 2 +
+          signals.sharedBookCount,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    // Fetch a few extra: some candidates may be inactive
+    const users = await User.find({
+      _id: { $in: ranked.slice(0, limit * 2).map((r) => r.id) },
       isActive: true,
-    })
-      .select('name profilePicture bio')
-      .limit(10);
+    }).select('name profilePicture bio');
+
+    const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+    const top = ranked.filter((r) => usersById.has(r.id)).slice(0, limit);
+
+    // Sample of mutual friends for display
+    const sampleIds = [...new Set(top.flatMap((r) => r.mutualFriendIds.slice(0, 3)))];
+    const samples = await User.find({ _id: { $in: sampleIds } }).select('name profilePicture');
+    const samplesById = new Map(samples.map((u) => [u._id.toString(), u]));
+
+    const suggestions = top.map((r) => ({
+      ...usersById.get(r.id).toObject(),
+      mutualFriendCount: r.mutualFriendIds.length,
+      mutualFriends: r.mutualFriendIds
+        .slice(0, 3)
+        .map((id) => samplesById.get(id.toString()))
+        .filter(Boolean),
+      sharedCampaignCount: r.sharedCampaignCount,
+      sharedBookCount: r.sharedBookCount,
+    }));
+
+    // Not enough signals (new member) → fill with recent active users
+    if (suggestions.length < limit) {
+      const taken = [...excluded, ...suggestions.map((s) => s._id.toString())];
+      const fillers = await User.find({
+        _id: { $nin: taken },
+        isActive: true,
+      })
+        .select('name profilePicture bio')
+        .sort({ createdAt: -1 })
+        .limit(limit - suggestions.length);
+
+      fillers.forEach((u) =>
+        suggestions.push({
+          ...u.toObject(),
+          mutualFriendCount: 0,
+          mutualFriends: [],
+          sharedCampaignCount: 0,
+          sharedBookCount: 0,
+        })
+      );
+    }
 
     return suggestions;
   }
+
+  /**
+   * Friends of my friends, with which of my friends they share
+   * 
+   * @param {Array} friendIds - My friends
+   * @returns {Promise<Array<{ _id, mutualFriendIds }>>}
+   */
+  async findMutualFriends(friendIds) {
+    if (friendIds.length === 0) return [];
+
+    return Friendship.aggregate([
+      {
+        $match: {
+          status: 'accepted',
+          $or: [{ requester: { $in: friendIds } }, { recipient: { $in: friendIds } }],
+        },
+      },
+      // Each friendship of a friend → (candidate, viaFriend) pairs
+      {
+        $project: {
+          pairs: [
+            { candidate: '$recipient', via: '$requester' },
+            { candidate: '$requester', via: '$recipient' },
+          ],
+        },
+      },
+      { $unwind: '$pairs' },
+      { $match: { 'pairs.via': { $in: friendIds } } },
+      {
+        $group: {
+          _id: '$pairs.candidate',
+          mutualFriendIds: { $addToSet: '$pairs.via' },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Users who donated to the same campaigns as userId
+   * 
+   * @param {string} userId
+   * @returns {Promise<Array<{ _id, count }>>}
+   */
+  async findSharedCampaignDonors(userId) {
+    const campaignIds = await Donation.distinct('campaign', {
+      donor: userId,
+      status: 'completed',
+      campaign: { $ne: null },
+    });
+
+    if (campaignIds.length === 0) return [];
+
+    return Donation.aggregate([
+      {
+        $match: {
+          campaign: { $in: campaignIds },
+          status: 'completed',
+          isAnonymous: { $ne: true },
+          donor: { $ne: null },
+        },
+      },
+      { $group: { _id: '$donor', campaigns: { $addToSet: '$campaign' } } },
+      { $project: { count: { $size: '$campaigns' } } },
+    ]);
+  }
+
+  /**
+   * Users who borrowed the same books as userId
+   * 
+   * @param {string} userId
+   * @returns {Promise<Array<{ _id, count }>>}
+   */
+  async findSharedBorrowers(userId) {
+    const borrowed = ['issued', 'returned'];
+    const bookIds = await BookRequest.distinct('book', {
+      user: userId,
+      status: { $in: borrowed },
+    });
+
+    if (bookIds.length === 0) return [];
+
+    return BookRequest.aggregate([
+      { $match: { book: { $in: bookIds }, status: { $in: borrowed } } },
+      { $group: { _id: '$user', books: { $addToSet: '$book' } } },
+      { $project: { count: { $size: '$books' } } },
+    ]);
+  }
+
+  /**
+   * Dismiss a suggestion permanently
+   * 
+   * @param {string} userId
+   * @param {string} dismissedId
+   * @returns {Promise<void>}
+   */
+  async dismissSuggestion(userId, dismissedId) {
+    if (userId.toString() === dismissedId.toString()) {
+      const error = new Error('Cannot dismiss yourself');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findById(dismissedId).select('_id');
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await SuggestionDismissal.updateOne(
+      { user: userId, dismissed: dismissedId },
+      { $setOnInsert: { user: userId, dismissed: dismissedId } },
+      { upsert: true }
+    );
+  }
 }
 
 export default new FriendService();
\ No newline at end of file
@@ -0,0 +1,148 @@
+import friendListService from './friendList.service.js';
+
+class FriendListController {
+  /**
+   * @desc    Create friend list
+   * @route   POST /api/friends/lists
+   * @access  Private
+   */
+  async createList(req, res, next) {
+    try {
+      const list = await friendListService.createList(req.user._id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Friend list created',
+        data: list,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get own friend lists
+   * @route   GET /api/friends/lists
+   * @access  Private
+   */
+  async getLists(req, res, next) {
+    try {
+      const lists = await friendListService.getLists(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        count: lists.length,
+        data: lists,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get one friend list
+   * @route   GET /api/friends/lists/:id
+   * @access  Private
+   */
+  async getList(req, res, next) {
+    try {
+      const list = await friendListService.getList(req.params.id, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        data: list,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Rename friend list
+   * @route   PATCH /api/friends/lists/:id
+   * @access  Private
+   */
+  async renameList(req, res, next) {
+    try {
+      const list = await friendListService.renameList(
+        req.params.id,
+        req.user._id,
+        req.body?.name
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Friend list renamed',
+        data: list,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete friend list
+   * @route   DELETE /api/friends/lists/:id
+   * @access  Private
+   */
+  async deleteList(req, res, next) {
+    try {
+      await friendListService.deleteList(req.params.id, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Friend list deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Add members to friend list
+   * @route   POST /api/friends/lists/:id/members
+   * @access  Private
+   */
+  async addMembers(req, res, next) {
+    try {
+      const list = await friendListService.addMembers(
+        req.params.id,
+        req.user._id,
+        req.body?.members
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Members added',
+        data: list,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Remove member from friend list
+   * @route   DELETE /api/friends/lists/:id/members/:userId
+   * @access  Private
+   */
+  async removeMember(req, res, next) {
+    try {
+      const list = await friendListService.removeMember(
+        req.params.id,
+        req.user._id,
+        req.params.userId
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Member removed',
+        data: list,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new FriendListController();
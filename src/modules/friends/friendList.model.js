@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const MAX_LIST_MEMBERS = 500;
+
+/**
+ * Friend List Schema
+ * 
+ * User-defined groups of friends ("Family", "Volunteer team")
+ * used as a post audience.
+ * 
+ * Rules:
+ * - Only accepted friends can be members
+ * - Unfriend / block removes the person from the owner's lists
+ * - Members are never told which lists they are in
+ */
+const friendListSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, 'List name is required'],
+      trim: true,
+      maxlength: [50, 'List name cannot exceed 50 characters'],
+    },
+
+    members: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      default: [],
+      validate: {
+        // Not run on $addToSet updates: the service checks those itself
+        validator: (members) => members.length <= MAX_LIST_MEMBERS,
+        message: `A list cannot have more than ${MAX_LIST_MEMBERS} members`,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - owner + name: unique list names per user
+ * - members: "which lists am I in?" (timeline audience check)
+ */
+friendListSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+friendListSchema.index({ members: 1 });
+
+/**
+ * Static Method: IDs of lists that include userId
+ * 
+ * Usage: const listIds = await FriendList.getListIdsContaining(userId)
+ */
+friendListSchema.statics.getListIdsContaining = async function (userId) {
+  return this.distinct('_id', { members: userId });
+};
+
+/**
+ * Static Method: Remove two users from each other's lists
+ * 
+ * Called on unfriend / block
+ */
+friendListSchema.statics.removeBetween = async function (userId1, userId2) {
+  await Promise.all([
+    this.updateMany({ owner: userId1 }, { $pull: { members: userId2 } }),
+    this.updateMany({ owner: userId2 }, { $pull: { members: userId1 } }),
+  ]);
+};
+
+const FriendList = mongoose.model('FriendList', friendListSchema);
+
+export default FriendList;
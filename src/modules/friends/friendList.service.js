@@ -0,0 +1,241 @@
+import FriendList, { MAX_LIST_MEMBERS } from './friendList.model.js';
+import Friendship from './friendship.model.js';
+
+/**
+ * Friend List Service Layer
+ */
+
+const MAX_LISTS_PER_USER = 20;
+
+class FriendListService {
+  /**
+   * Find a list owned by userId
+   * 
+   * @param {string} listId
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async findOwnList(listId, userId) {
+    const list = await FriendList.findOne({ _id: listId, owner: userId });
+
+    // Same 404 for "not yours": don't reveal other users' lists
+    if (!list) {
+      const error = new Error('Friend list not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return list;
+  }
+
+  /**
+   * Throw if a list name is taken (case-insensitive)
+   */
+  async assertNameAvailable(userId, name, exceptId = null) {
+    const existing = await FriendList.findOne({
+      owner: userId,
+      name: name.trim(),
+      ...(exceptId && { _id: { $ne: exceptId } }),
+    }).collation({ locale: 'en', strength: 2 });
+
+    if (existing) {
+      const error = new Error('You already have a list with this name');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Create list
+   * 
+   * @param {string} userId
+   * @param {Object} data - { name, members }
+   * @returns {Promise<Object>}
+   */
+  async createList(userId, { name, members = [] }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      const error = new Error('List name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!Array.isArray(members)) {
+      const error = new Error('Members must be a list of user ids');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const memberIds = [...new Set(members.map(String))];
+
+    if (memberIds.length > MAX_LIST_MEMBERS) {
+      const error = new Error(`A list cannot have more than ${MAX_LIST_MEMBERS} members`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const count = await FriendList.countDocuments({ owner: userId });
+    if (count >= MAX_LISTS_PER_USER) {
+      const error = new Error(`You can have at most ${MAX_LISTS_PER_USER} lists`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.assertNameAvailable(userId, name);
+    await this.assertFriends(userId, memberIds);
+
+    const list = await FriendList.create({
+      owner: userId,
+      name: name.trim(),
+      members: memberIds,
+    });
+
+    await list.populate('members', 'name profilePicture');
+
+    return list;
+  }
+
+  /**
+   * Get own lists
+   * 
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getLists(userId) {
+    return FriendList.find({ owner: userId })
+      .populate('members', 'name profilePicture')
+      .sort({ name: 1 });
+  }
+
+  /**
+   * Get one own list
+   */
+  async getList(listId, userId) {
+    const list = await this.findOwnList(listId, userId);
+    await list.populate('members', 'name profilePicture');
+    return list;
+  }
+
+  /**
+   * Rename list
+   * 
+   * @param {string} listId
+   * @param {string} userId
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  async renameList(listId, userId, name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      const error = new Error('List name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const list = await this.findOwnList(listId, userId);
+    await this.assertNameAvailable(userId, name, list._id);
+
+    list.name = name.trim();
+    await list.save();
+    await list.populate('members', 'name profilePicture');
+
+    return list;
+  }
+
+  /**
+   * Delete list
+   * 
+   * Posts targeted at a deleted list become visible to the author only
+   * 
+   * @param {string} listId
+   * @param {string} userId
+   * @returns {Promise<void>}
+   */
+  async deleteList(listId, userId) {
+    const list = await this.findOwnList(listId, userId);
+    await list.deleteOne();
+  }
+
+  /**
+   * Add members (must be accepted friends)
+   * 
+   * The member cap is checked in the update filter: schema validators
+   * don't run on $addToSet, and parallel adds must not pass it together
+   * 
+   * @param {string} listId
+   * @param {string} userId
+   * @param {string[]} memberIds
+   * @returns {Promise<Object>}
+   */
+  async addMembers(listId, userId, memberIds = []) {
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      const error = new Error('Please provide members to add');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const list = await this.findOwnList(listId, userId);
+    await this.assertFriends(userId, memberIds);
+
+    const current = new Set(list.members.map(String));
+    const newIds = [...new Set(memberIds.map(String))].filter((id) => !current.has(id));
+
+    if (current.size + newIds.length > MAX_LIST_MEMBERS) {
+      const error = new Error(`A list cannot have more than ${MAX_LIST_MEMBERS} members`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Only matches while there is still room for every new member
+    const updated = await FriendList.findOneAndUpdate(
+      { _id: list._id, [`members.${MAX_LIST_MEMBERS - newIds.length}`]: { $exists: false } },
+      { $addToSet: { members: { $each: newIds } } },
+      { new: true }
+    ).populate('members', 'name profilePicture');
+
+    // Filled up by a parallel request in the meantime
+    if (!updated) {
+      const error = new Error(`A list cannot have more than ${MAX_LIST_MEMBERS} members`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Remove member
+   * 
+   * @param {string} listId
+   * @param {string} userId
+   * @param {string} memberId
+   * @returns {Promise<Object>}
+   */
+  async removeMember(listId, userId, memberId) {
+    const list = await this.findOwnList(listId, userId);
+
+    const updated = await FriendList.findByIdAndUpdate(
+      list._id,
+      { $pull: { members: memberId } },
+      { new: true }
+    ).populate('members', 'name profilePicture');
+
+    return updated;
+  }
+
+  /**
+   * Throw unless every id is an accepted friend of userId
+   */
+  async assertFriends(userId, memberIds) {
+    if (memberIds.length === 0) return;
+
+    const friendIds = await Friendship.getFriendIdsAmong(userId, memberIds);
+    const notFriends = memberIds.filter((id) => !friendIds.has(id.toString()));
+
+    if (notFriends.length > 0) {
+      const error = new Error('Only friends can be added to a list');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+export default new FriendListService();
@@ -38,6 +38,24 @@ const friendshipSchema = new mongoose.Schema(
       default: 'pending',
       index: true,
     },
+
+    // When recipient accepted / rejected (re-send cool-down starts here)
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Last message / like / comment between the two (friends list sort)
+    lastInteractionAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Set only while pending; TTL index removes unanswered requests
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -50,9 +68,19 @@ const friendshipSchema = new mongoose.Schema(
  * Why?
  * - User A can't send multiple requests to User B
  * - Ensures data integrity
+ * 
+ * Re-sending after rejection / expiry reuses the same document
+ * (see friendService.sendFriendRequest), so the pair is never stuck.
  */
 friendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
 
+/**
+ * TTL Index: Expire stale pending requests
+ * 
+ * Accepted / rejected have expiresAt = null → never removed
+ */
+friendshipSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 /**
  * Index for queries
  * - Get all pending requests for a user
@@ -61,6 +89,48 @@ friendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
 friendshipSchema.index({ recipient: 1, status: 1 });
 friendshipSchema.index({ requester: 1, status: 1 });
 
+/**
+ * Static Method: Filter for pending requests that haven't expired
+ * 
+ * TTL monitor runs about once a minute, so expired documents
+ * may still exist for a short while.
+ */
+friendshipSchema.statics.pendingFilter = function () {
+  return {
+    status: 'pending',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  };
+};
+
+/**
+ * Instance Method: Is this a pending request past its expiry?
+ */
+friendshipSchema.methods.isExpired = function () {
+  return this.status === 'pending' && !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+/**
+ * Static Method: Record an interaction between two friends
+ * 
+ * No-op if they are not friends
+ * 
+ * Usage: await Friendship.touchInteraction(senderId, receiverId)
+ */
+friendshipSchema.statics.touchInteraction = async function (userId1, userId2) {
+  if (userId1.toString() === userId2.toString()) return;
+
+  await this.updateOne(
+    {
+      status: 'accepted',
+      $or: [
+        { requester: userId1, recipient: userId2 },
+        { requester: userId2, recipient: userId1 },
+      ],
+    },
+    { lastInteractionAt: new Date() }
+  );
+};
+
 /**
  * Static Method: Check if two users are friends
  * 
@@ -93,6 +163,77 @@ friendshipSchema.statics.getStatus = async function (userId1, userId2) {
   return friendship ? friendship.status : null;
 };
 
+/**
+ * Static Method: All friend ids of a user
+ * 
+ * Usage: const friendIds = await Friendship.getFriendIds(userId)
+ * 
+ * @returns {Promise<ObjectId[]>}
+ */
+friendshipSchema.statics.getFriendIds = async function (userId) {
+  const friendships = await this.find({
+    status: 'accepted',
+    $or: [{ requester: userId }, { recipient: userId }],
+  }).select('requester recipient');
+
+  return friendships.map((f) =>
+    f.requester.toString() === userId.toString() ? f.recipient : f.requester
+  );
+};
+
+/**
+ * Static Method: Which of these users are friends with userId?
+ * 
+ * One query for a whole list (search results, user lists)
+ * 
+ * Usage: const friendIds = await Friendship.getFriendIdsAmong(me, userIds)
+ * 
+ * @returns {Promise<Set<string>>}
+ */
+friendshipSchema.statics.getFriendIdsAmong = async function (userId, userIds) {
+  const friendships = await this.find({
+    status: 'accepted',
+    $or: [
+      { requester: userId, recipient: { $in: userIds } },
+      { recipient: userId, requester: { $in: userIds } },
+    ],
+  }).select('requester recipient');
+
+  return new Set(
+    friendships.map((f) =>
+      f.requester.toString() === userId.toString()
+        ? f.recipient.toString()
+        : f.requester.toString()
+    )
+  );
+};
+
+/**
+ * Static Method: Friendship status with each of these users
+ * 
+ * Usage: const statuses = await Friendship.getStatusesAmong(me, userIds)
+ *        statuses.get(otherId) → { status, requestedByMe }
+ * 
+ * @returns {Promise<Map<string, { status: string, requestedByMe: boolean }>>}
+ */
+friendshipSchema.statics.getStatusesAmong = async function (userId, userIds) {
+  const friendships = await this.find({
+    $or: [
+      { requester: userId, recipient: { $in: userIds } },
+      { recipient: userId, requester: { $in: userIds } },
+    ],
+  }).select('requester recipient status');
+
+  const statuses = new Map();
+  friendships.forEach((f) => {
+    const requestedByMe = f.requester.toString() === userId.toString();
+    const otherId = requestedByMe ? f.recipient.toString() : f.requester.toString();
+    statuses.set(otherId, { status: f.status, requestedByMe });
+  });
+
+  return statuses;
+};
+
 const Friendship = mongoose.model('Friendship', friendshipSchema);
 
 export default Friendship;
\ No newline at end of file
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * Suggestion Dismissal Schema
+ * 
+ * "Don't suggest this person again" (permanent, per user)
+ */
+const suggestionDismissalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    dismissed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+suggestionDismissalSchema.index({ user: 1, dismissed: 1 }, { unique: true });
+
+const SuggestionDismissal = mongoose.model(
+  'SuggestionDismissal',
+  suggestionDismissalSchema
+);
+
+export default SuggestionDismissal;
@@ -1,4 +1,5 @@
 import * as bookService from "./book.service.js";
+import { hasPermission } from "../../config/permissions.js";
 
 // ─── Create Book ──────────────────────────────────────────────────────────────
 export const createBook = async (req, res, next) => {
@@ -169,7 +170,7 @@ export const deleteReview = async (req, res, next) => {
     const book = await bookService.deleteReview(
       req.params.id,
       req.user._id,
-      req.user.role
+      hasPermission(req.user, "book:review-delete-any")
     );
     res.status(200).json({
       success: true,
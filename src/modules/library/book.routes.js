@@ -1,6 +1,6 @@
 import express from "express";
 import multer from "multer";
-import { protect, authorize } from "../../middleware/auth.middleware.js";
+import { protect, requirePermission } from "../../middleware/auth.middleware.js";
 import * as bookController from "./book.controller.js";
 
 const router = express.Router();
@@ -67,7 +67,7 @@ router.delete("/:id/review", protect, bookController.deleteReview);
 router.post(
   "/",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book:create"),
   bookController.createBook
 );
 
@@ -75,7 +75,7 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book:update"),
   bookController.updateBook
 );
 
@@ -83,7 +83,7 @@ router.put(
 router.post(
   "/:id/cover",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book:update"),
   imageUpload.single("cover"),
   bookController.uploadCover
 );
@@ -92,7 +92,7 @@ router.post(
 router.post(
   "/:id/file",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book:update"),
   fileUpload.single("file"),
   bookController.uploadDigitalFile
 );
@@ -105,7 +105,7 @@ router.post(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("book:delete"),
   bookController.deleteBook
 );
 
@@ -361,7 +361,7 @@ export const updateReview = async (bookId, userId, { rating, comment }) => {
 };
 
 // ─── Delete Review ────────────────────────────────────────────────────────────
-export const deleteReview = async (bookId, userId, userRole) => {
+export const deleteReview = async (bookId, userId, canDeleteAny = false) => {
   const book = await Book.findById(bookId);
   if (!book) {
     const err = new Error("Book not found");
@@ -373,8 +373,8 @@ export const deleteReview = async (bookId, userId, userRole) => {
     (r) => r.user.toString() === userId.toString()
   );
 
-  // Admin যেকোনো review মুছতে পারবে
-  if (reviewIndex === -1 && userRole !== "admin") {
+  // book:review-delete-any থাকলে যেকোনো review মুছতে পারবে
+  if (reviewIndex === -1 && !canDeleteAny) {
     const err = new Error("Review not found or you are not authorized");
     err.statusCode = 404;
     throw err;
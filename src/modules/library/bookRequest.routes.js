@@ -1,5 +1,5 @@
 import express from "express";
-import { protect, authorize } from "../../middleware/auth.middleware.js";
+import { protect, requirePermission } from "../../middleware/auth.middleware.js";
 import * as bookRequestController from "./bookRequest.controller.js";
 
 const router = express.Router();
@@ -25,7 +25,7 @@ router.patch("/:id/cancel", protect, bookRequestController.cancelRequest);
 router.get(
   "/",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book-request:manage"),
   bookRequestController.getAllRequests
 );
 
@@ -33,7 +33,7 @@ router.get(
 router.get(
   "/waitlist/:bookId",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book-request:manage"),
   bookRequestController.getWaitlist
 );
 
@@ -41,7 +41,7 @@ router.get(
 router.patch(
   "/:id/approve",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book-request:manage"),
   bookRequestController.approveRequest
 );
 
@@ -49,7 +49,7 @@ router.patch(
 router.patch(
   "/:id/reject",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book-request:manage"),
   bookRequestController.rejectRequest
 );
 
@@ -57,7 +57,7 @@ router.patch(
 router.patch(
   "/:id/issue",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book-request:manage"),
   bookRequestController.issueBook
 );
 
@@ -65,7 +65,7 @@ router.patch(
 router.patch(
   "/:id/return",
   protect,
-  authorize("librarian", "manager", "admin"),
+  requirePermission("book-request:manage"),
   bookRequestController.returnBook
 );
 
@@ -1,17 +1,19 @@
 import BookRequest from "./bookRequest.model.js";
 import Book from "./book.model.js";
+import User from "../auth/user.model.js";
+import { config } from "../../config/env.js";
 import { getSocketInstance, getOnlineUsers } from "../../config/socket.js";
 // NOTE: socket.js এ getSocketInstance = getIO alias,
-//       getOnlineUsers = onlineUsers Map export
+//       getOnlineUsers = onlineUsers Map export (userId → Set<socketId>)
 
 // ─── Helper: Emit Socket Notification ────────────────────────────────────────
 const notifyUser = (userId, event, data) => {
   try {
     const io = getSocketInstance();
     const onlineUsers = getOnlineUsers();
-    const socketId = onlineUsers.get(userId.toString());
-    if (socketId) {
-      io.to(socketId).emit(event, data);
+    if (onlineUsers.has(userId.toString())) {
+      // User's room reaches every open tab / device
+      io.to(userId.toString()).emit(event, data);
     }
   } catch {
     // Socket না থাকলে silently skip
@@ -54,6 +56,16 @@ const promoteWaitlist = async (bookId) => {
 
 // ─── Create Request ───────────────────────────────────────────────────────────
 export const createRequest = async (userId, { bookId, requestType, userNote }) => {
+  // Optional gate: only verified phone numbers can borrow
+  if (
+    config.phoneVerification.requiredForBorrow &&
+    !(await User.isPhoneVerified(userId))
+  ) {
+    const err = new Error("Please verify your phone number before requesting books");
+    err.statusCode = 403;
+    throw err;
+  }
+
   const book = await Book.findById(bookId);
   if (!book) {
     const err = new Error("Book not found");
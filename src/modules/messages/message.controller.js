@@ -1,5 +1,6 @@
 import messageService from './message.service.js';
 import { getIO } from '../../config/socket.js';
+import { hasPermission } from '../../config/permissions.js';
 
 /**
  * Message Controller
@@ -293,16 +294,16 @@ async deleteMessage(req, res, next) {
 }
 
 /**
- * @desc    Get edit history (Admin only)
+ * @desc    Get edit history (message:read-any)
  * @route   GET /api/messages/:id/history
- * @access  Private (Admin)
+ * @access  Private (message:read-any)
  */
 async getEditHistory(req, res, next) {
   try {
     const history = await messageService.getEditHistory(
       req.params.id,
       req.user._id,
-      req.user.role
+      hasPermission(req.user, 'message:read-any')
     );
 
     res.status(200).json({
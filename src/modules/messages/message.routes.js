@@ -1,6 +1,6 @@
 import express from 'express';
 import messageController from './message.controller.js';
-import { protect, authorize } from '../../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -25,11 +25,11 @@ router.put('/:id', protect, messageController.editMessage.bind(messageController
 //  Delete message (soft delete with options)
 router.delete('/:id', protect, messageController.deleteMessage.bind(messageController));
 
-//  Edit history (Admin only)
+//  Edit history (message:read-any)
 router.get(
   '/:id/history',
   protect,
-  authorize('admin'),
+  requirePermission('message:read-any'),
   messageController.getEditHistory.bind(messageController)
 );
 
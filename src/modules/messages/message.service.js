@@ -1,5 +1,7 @@
 import Message from './message.model.js';
 import Conversation from './conversation.model.js';
+import Block from '../friends/block.model.js';
+import Friendship from '../friends/friendship.model.js';
 import { getIO } from '../../config/socket.js';
 
 /**
@@ -35,6 +37,12 @@ class MessageService {
       throw error;
     }
 
+    if (await Block.isBlockedBetween(senderId, receiverId)) {
+      const error = new Error('You cannot message this user');
+      error.statusCode = 403;
+      throw error;
+    }
+
     // Find or create conversation
     const conversation = await Conversation.findOrCreate(senderId, receiverId);
 
@@ -57,6 +65,9 @@ class MessageService {
     conversation.updatedAt = new Date();
     await conversation.save();
 
+    // Friends list "recent" sort
+    await Friendship.touchInteraction(senderId, receiverId);
+
     console.log('✅ Message created:', message._id);
 
     // Emit real-time event (Socket.io handled separately)
@@ -382,17 +393,17 @@ async deleteMessage(messageId, userId, deleteType = 'for_everyone') {
 }
 
 /**
- * Get edit history (Admin only)
+ * Get edit history (message:read-any only)
  * 
  * @param {string} messageId
  * @param {string} userId
- * @param {string} userRole
+ * @param {boolean} canReadAny - Has message:read-any permission
  * @returns {Promise<Array>}
  */
-async getEditHistory(messageId, userId, userRole) {
-  // Only admin can see edit history
-  if (userRole !== 'admin') {
-    const error = new Error('Only admins can view edit history');
+async getEditHistory(messageId, userId, canReadAny = false) {
+  // Only moderators can see edit history
+  if (!canReadAny) {
+    const error = new Error('You are not allowed to view edit history');
     error.statusCode = 403;
     throw error;
   }
@@ -0,0 +1,159 @@
+import commentService from './comment.service.js';
+
+/**
+ * Comment Controller
+ * 
+ * Responsibility: HTTP layer only
+ */
+
+class CommentController {
+  /**
+   * @desc    Get comments of a post
+   * @route   GET /api/posts/:id/comments?cursor=&limit=20
+   * @access  Private
+   */
+  async getComments(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { comments, nextCursor, hasMore } = await commentService.getComments(
+        req.params.id,
+        req.user._id,
+        { cursor: req.query.cursor, limit }
+      );
+
+      res.status(200).json({
+        success: true,
+        count: comments.length,
+        data: comments,
+        pagination: { nextCursor, hasMore, limit },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get replies of a comment
+   * @route   GET /api/posts/:id/comments/:commentId/replies?cursor=&limit=20
+   * @access  Private
+   */
+  async getReplies(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { comments, nextCursor, hasMore } = await commentService.getComments(
+        req.params.id,
+        req.user._id,
+        { parentId: req.params.commentId, cursor: req.query.cursor, limit }
+      );
+
+      res.status(200).json({
+        success: true,
+        count: comments.length,
+        data: comments,
+        pagination: { nextCursor, hasMore, limit },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Add comment (parentId → reply)
+   * @route   POST /api/posts/:id/comment
+   * @access  Private
+   */
+  async addComment(req, res, next) {
+    try {
+      const { text, parentId } = req.body || {};
+
+      const result = await commentService.addComment(
+        req.params.id,
+        req.user._id,
+        text,
+        parentId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: parentId ? 'Reply added successfully' : 'Comment added successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Edit comment
+   * @route   PATCH /api/posts/:id/comment/:commentId
+   * @access  Private
+   */
+  async updateComment(req, res, next) {
+    try {
+      const comment = await commentService.updateComment(
+        req.params.id,
+        req.params.commentId,
+        req.user._id,
+        req.body?.text
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Comment updated successfully',
+        data: comment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete comment
+   * @route   DELETE /api/posts/:id/comment/:commentId
+   * @access  Private
+   */
+  async deleteComment(req, res, next) {
+    try {
+      const post = await commentService.deleteComment(
+        req.params.id,
+        req.params.commentId,
+        req.user._id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Comment deleted successfully',
+        data: post,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Like/Unlike comment
+   * @route   POST /api/posts/:id/comment/:commentId/like
+   * @access  Private
+   */
+  async toggleCommentLike(req, res, next) {
+    try {
+      const result = await commentService.toggleCommentLike(
+        req.params.id,
+        req.params.commentId,
+        req.user._id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Comment ${result.action}`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new CommentController();
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+/**
+ * Comment Schema
+ * 
+ * Separate collection (was embedded in Post):
+ * - Posts with many comments stay small
+ * - Comments can be paginated, edited, liked
+ * 
+ * Threading: one level deep
+ * - parent = null → top-level comment
+ * - parent = comment id → reply (replies to a reply go under the same top-level comment)
+ * 
+ * Post.commentCount / Comment.replyCount are kept in sync by the service
+ */
+const commentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+
+    text: {
+      type: String,
+      required: [true, 'Comment text is required'],
+      trim: true,
+      maxlength: [500, 'Comment cannot exceed 500 characters'],
+    },
+
+    likes: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      default: [],
+    },
+
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Hidden by a moderator (report action) - only the author still sees it
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - post + parent + _id: comments of a post / replies of a comment, cursor paginated
+ * - likes: remove a deleted member's likes
+ */
+commentSchema.index({ post: 1, parent: 1, _id: -1 });
+commentSchema.index({ likes: 1 });
+
+/**
+ * Virtual: Like Count
+ */
+commentSchema.virtual('likeCount').get(function () {
+  return this.likes.length;
+});
+
+/**
+ * Method: Check if user liked this comment
+ * 
+ * Usage: comment.isLikedBy(userId)
+ */
+commentSchema.methods.isLikedBy = function (userId) {
+  return this.likes.some((like) => like.toString() === userId.toString());
+};
+
+commentSchema.set('toJSON', { virtuals: true });
+commentSchema.set('toObject', { virtuals: true });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
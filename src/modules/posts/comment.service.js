@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import Comment from './comment.model.js';
+import Post from './post.model.js';
+import postService from './post.service.js';
+import Block from '../friends/block.model.js';
+import Friendship from '../friends/friendship.model.js';
+
+/**
+ * Comment Service Layer
+ * 
+ * Every action first checks the viewer can see the post
+ * (visibility, audience list, block) - same 404 as a missing post
+ */
+
+const USER_FIELDS = 'name profilePicture';
+
+class CommentService {
+  /**
+   * Find comment that belongs to the post
+   * 
+   * @param {string} postId
+   * @param {string} commentId
+   * @returns {Promise<Object>} - Comment document
+   */
+  async findComment(postId, commentId) {
+    const comment = await Comment.findOne({ _id: commentId, post: postId });
+
+    if (!comment) {
+      const error = new Error('Comment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return comment;
+  }
+
+  /**
+   * Comment as returned to a viewer (likes array → count + isLikedByMe)
+   * 
+   * @param {Object} comment - Comment document (user populated)
+   * @param {string} viewerId
+   * @returns {Object}
+   */
+  toView(comment, viewerId) {
+    const { likes, ...rest } = comment.toJSON();
+
+    return {
+      ...rest,
+      isLikedByMe: comment.isLikedBy(viewerId),
+    };
+  }
+
+  /**
+   * Add comment (or reply) to post
+   * 
+   * Replies are one level deep: replying to a reply
+   * puts the new comment under the same top-level comment
+   * 
+   * @param {string} postId
+   * @param {string} userId
+   * @param {string} text
+   * @param {string} [parentId] - Comment being replied to
+   * @returns {Promise<Object>} - { post, comment }
+   */
+  async addComment(postId, userId, text, parentId = null) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      const error = new Error('Comment text is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Blocked → same 404 as missing (don't reveal the post or the block)
+    const post = await postService.findViewablePost(postId, userId);
+
+    let threadId = null;
+
+    if (parentId) {
+      const parent = await this.findComment(post._id, parentId);
+
+      // Comments of blocked users are left out of the list, same here
+      if (await Block.isBlockedBetween(userId, parent.user)) {
+        const error = new Error('Comment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      threadId = parent.parent || parent._id;
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      user: userId,
+      parent: threadId,
+      text: text.trim(),
+    });
+
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+    if (threadId) {
+      await Comment.updateOne({ _id: threadId }, { $inc: { replyCount: 1 } });
+    }
+
+    await Friendship.touchInteraction(userId, post.author);
+
+    await comment.populate('user', USER_FIELDS);
+    const updatedPost = await Post.findById(post._id).populate('author', USER_FIELDS);
+
+    return {
+      post: updatedPost,
+      comment: this.toView(comment, userId),
+    };
+  }
+
+  /**
+   * Get comments of a post (or replies of a comment), cursor paginated
+   * 
+   * - Top-level comments: newest first
+   * - Replies: oldest first (read as a conversation)
+   * - Comments by blocked users are left out (muting only affects the timeline)
+   * - Comments hidden by a moderator: only their author sees them
+   * 
+   * @param {string} postId
+   * @param {string} viewerId
+   * @param {Object} options - { parentId, cursor, limit }
+   *   cursor: nextCursor from the previous page (comment id)
+   * @returns {Promise<Object>} - { comments, nextCursor, hasMore }
+   */
+  async getComments(postId, viewerId, { parentId = null, cursor, limit = 20 } = {}) {
+    const post = await postService.findViewablePost(postId, viewerId);
+
+    if (parentId) {
+      await this.findComment(post._id, parentId);
+    }
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      const error = new Error('Invalid cursor');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const direction = parentId ? 1 : -1;
+    const filter = {
+      post: post._id,
+      parent: parentId,
+      user: { $nin: await Block.getBlockedIds(viewerId) },
+      $or: [{ isHidden: { $ne: true } }, { user: viewerId }],
+    };
+
+    if (cursor) {
+      filter._id = { [direction === 1 ? '$gt' : '$lt']: cursor };
+    }
+
+    const rows = await Comment.find(filter)
+      .populate('user', USER_FIELDS)
+      .sort({ _id: direction })
+      .limit(limit + 1);
+
+    const hasMore = rows.length > limit;
+    const comments = rows.slice(0, limit);
+
+    return {
+      comments: comments.map((comment) => this.toView(comment, viewerId)),
+      nextCursor: hasMore ? comments[comments.length - 1]._id : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * Edit comment
+   * 
+   * Security: Only comment author can edit, while they can still see the post
+   * 
+   * @param {string} postId
+   * @param {string} commentId
+   * @param {string} userId
+   * @param {string} text
+   * @returns {Promise<Object>}
+   */
+  async updateComment(postId, commentId, userId, text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      const error = new Error('Comment text is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Post must still be visible (block, visibility or audience may have changed)
+    const post = await postService.findViewablePost(postId, userId);
+    const comment = await this.findComment(post._id, commentId);
+
+    if (comment.user.toString() !== userId.toString()) {
+      const error = new Error('You can only edit your own comments');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    comment.text = text.trim();
+    comment.isEdited = true;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate('user', USER_FIELDS);
+
+    return this.toView(comment, userId);
+  }
+
+  /**
+   * Delete comment (and its replies)
+   * 
+   * Security: Only comment author or post author can delete
+   * 
+   * @param {string} postId
+   * @param {string} commentId
+   * @param {string} userId
+   * @returns {Promise<Object>} - Updated post
+   */
+  async deleteComment(postId, commentId, userId) {
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      const error = new Error('Post not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const comment = await this.findComment(post._id, commentId);
+
+    // Check permission
+    const isCommentAuthor = comment.user.toString() === userId.toString();
+    const isPostAuthor = post.author.toString() === userId.toString();
+
+    if (!isCommentAuthor && !isPostAuthor) {
+      const error = new Error('You can only delete your own comments');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    let removed = 1;
+
+    if (comment.parent) {
+      await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+    } else {
+      const { deletedCount } = await Comment.deleteMany({ parent: comment._id });
+      removed += deletedCount;
+    }
+
+    await comment.deleteOne();
+
+    return Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { commentCount: -removed } },
+      { new: true }
+    ).populate('author', USER_FIELDS);
+  }
+
+  /**
+   * Like/Unlike comment
+   * 
+   * @param {string} postId
+   * @param {string} commentId
+   * @param {string} userId
+   * @returns {Promise<Object>} - { action, likeCount }
+   */
+  async toggleCommentLike(postId, commentId, userId) {
+    const post = await postService.findViewablePost(postId, userId);
+    const comment = await this.findComment(post._id, commentId);
+
+    if (await Block.isBlockedBetween(userId, comment.user)) {
+      const error = new Error('Comment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const alreadyLiked = comment.isLikedBy(userId);
+
+    const updated = await Comment.findByIdAndUpdate(
+      comment._id,
+      alreadyLiked ? { $pull: { likes: userId } } : { $addToSet: { likes: userId } },
+      { new: true }
+    );
+
+    if (!alreadyLiked) {
+      await Friendship.touchInteraction(userId, comment.user);
+    }
+
+    return {
+      commentId: comment._id,
+      action: alreadyLiked ? 'unliked' : 'liked',
+      likeCount: updated.likes.length,
+    };
+  }
+
+  /**
+   * Remove a member's comments and comment likes (account deletion)
+   * 
+   * Replies other members left under their top-level comments go too,
+   * on purpose: replies are only reachable through their thread, and
+   * deleting a comment already removes its replies (see deleteComment).
+   * Counters are recounted.
+   * 
+   * @param {string} userId
+   */
+  async removeUserComments(userId) {
+    const own = await Comment.find({ user: userId }).select('post parent');
+    const ownIds = own.map((comment) => comment._id);
+
+    const postIds = [...new Set(own.map((comment) => comment.post.toString()))];
+    const threadIds = [
+      ...new Set(own.filter((c) => c.parent).map((c) => c.parent.toString())),
+    ];
+
+    await Comment.deleteMany({ $or: [{ user: userId }, { parent: { $in: ownIds } }] });
+    await Comment.updateMany({ likes: userId }, { $pull: { likes: userId } });
+
+    for (const postId of postIds) {
+      const commentCount = await Comment.countDocuments({ post: postId });
+      await Post.updateOne({ _id: postId }, { commentCount });
+    }
+
+    for (const threadId of threadIds) {
+      const replyCount = await Comment.countDocuments({ parent: threadId });
+      await Comment.updateOne({ _id: threadId }, { replyCount });
+    }
+  }
+}
+
+export default new CommentService();
@@ -1,4 +1,5 @@
 import postService from './post.service.js';
+import { hasPermission } from '../../config/permissions.js';
 
 /**
  * Post Controller
@@ -17,7 +18,12 @@ class PostController {
    */
   async createPost(req, res, next) {
     try {
-      const post = await postService.createPost(req.user._id, req.body);
+      const post = await postService.createPost(
+        req.user._id,
+        req.body || {},
+        req.files || [],
+        hasPermission(req.user, 'post:announce')
+      );
 
       res.status(201).json({
         success: true,
@@ -31,15 +37,41 @@ class PostController {
 
   /**
    * @desc    Get timeline posts
-   * @route   GET /api/posts/timeline
+   * @route   GET /api/posts/timeline?sort=latest|top&before=<postId>&asOf=&limit=20
    * @access  Private
    */
   async getTimeline(req, res, next) {
+    try {
+      const { sort, before, asOf } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+      const result = await postService.getTimeline(req.user._id, {
+        sort,
+        before,
+        asOf,
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get foundation announcements
+   * @route   GET /api/posts/announcements
+   * @access  Public
+   */
+  async getAnnouncements(req, res, next) {
     try {
       const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 50);
 
-      const result = await postService.getTimeline(req.user._id, page, limit);
+      const result = await postService.getAnnouncements(page, limit);
 
       res.status(200).json({
         success: true,
@@ -57,7 +89,7 @@ class PostController {
    */
   async getPost(req, res, next) {
     try {
-      const post = await postService.getPostById(req.params.id);
+      const post = await postService.getPostById(req.params.id, req.user._id);
 
       res.status(200).json({
         success: true,
@@ -80,6 +112,7 @@ class PostController {
 
       const result = await postService.getUserPosts(
         req.params.userId,
+        req.user._id,
         page,
         limit
       );
@@ -103,7 +136,8 @@ class PostController {
       const post = await postService.updatePost(
         req.params.id,
         req.user._id,
-        req.body
+        req.body || {},
+        req.files || []
       );
 
       res.status(200).json({
@@ -126,7 +160,7 @@ class PostController {
       await postService.deletePost(
         req.params.id,
         req.user._id,
-        req.user.role
+        hasPermission(req.user, 'post:delete-any')
       );
 
       res.status(200).json({
@@ -137,73 +171,6 @@ class PostController {
       next(error);
     }
   }
-
-  /**
-   * @desc    Like/Unlike post
-   * @route   POST /api/posts/:id/like
-   * @access  Private
-   */
-  async toggleLike(req, res, next) {
-    try {
-      const result = await postService.toggleLike(req.params.id, req.user._id);
-
-      res.status(200).json({
-        success: true,
-        message: `Post ${result.action}`,
-        data: result,
-      });
-    } catch (error) {
-      next(error);
-    }
-  }
-
-  /**
-   * @desc    Add comment
-   * @route   POST /api/posts/:id/comment
-   * @access  Private
-   */
-  async addComment(req, res, next) {
-    try {
-      const { text } = req.body;
-
-      const result = await postService.addComment(
-        req.params.id,
-        req.user._id,
-        text
-      );
-
-      res.status(201).json({
-        success: true,
-        message: 'Comment added successfully',
-        data: result,
-      });
-    } catch (error) {
-      next(error);
-    }
-  }
-
-  /**
-   * @desc    Delete comment
-   * @route   DELETE /api/posts/:id/comment/:commentId
-   * @access  Private
-   */
-  async deleteComment(req, res, next) {
-    try {
-      const post = await postService.deleteComment(
-        req.params.id,
-        req.params.commentId,
-        req.user._id
-      );
-
-      res.status(200).json({
-        success: true,
-        message: 'Comment deleted successfully',
-        data: post,
-      });
-    } catch (error) {
-      next(error);
-    }
-  }
 }
 
 export default new PostController();
\ No newline at end of file
@@ -1,17 +1,25 @@
 import mongoose from 'mongoose';
+import { REACTION_TYPES } from './reaction.model.js';
+
+/**
+ * Who can see a post
+ * - public  → every member (and the public feed, for announcements)
+ * - friends → author's friends
+ * - private → author only
+ * - list    → members of audienceList
+ */
+export const POST_VISIBILITY = ['public', 'friends', 'private', 'list'];
+
+export const MAX_POST_IMAGES = 5;
 
 /**
  * Post Schema
  * 
  * Design Decisions:
- * 1. Embedded Comments - Fast retrieval, typically < 50 comments per post
- * 2. Likes as Array - Quick count, prevent duplicates with $addToSet
- * 3. Images as URLs - Already uploaded to Cloudinary
+ * 1. Comments in a separate collection - paginated, threaded; count kept here
+ * 2. Reactions in a separate collection - per-type counts kept here
+ * 3. Images uploaded through the API - publicId kept to delete the asset
  * 4. Author reference - Populate for display
- * 
- * When to use vs when not to:
- * - Good for: Social feeds, blogs, forums
- * - Not for: High-volume comments (use separate Comment model)
  */
 const postSchema = new mongoose.Schema(
   {
@@ -30,53 +38,62 @@ const postSchema = new mongoose.Schema(
     },
 
     images: {
-      type: [String], // Array of Cloudinary URLs
+      type: [
+        {
+          url: { type: String, required: true },
+          publicId: { type: String, default: '' },
+          width: Number,
+          height: Number,
+        },
+      ],
       validate: {
         validator: function (images) {
-          return images.length <= 5; // Max 5 images
+          return images.length <= MAX_POST_IMAGES;
         },
-        message: 'Cannot upload more than 5 images per post',
+        message: `Cannot upload more than ${MAX_POST_IMAGES} images per post`,
       },
       default: [],
     },
 
-    likes: {
-      type: [
-        {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-      ],
-      default: [],
-      // Why array?
-      // - Quick .length for count
-      // - $addToSet prevents duplicates
-      // - Simple toggle: $addToSet or $pull
+    // { like: 3, love: 1, ... } - updated with $inc by the reaction service
+    reactionCounts: Object.fromEntries(
+      REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])
+    ),
+
+    // Comments live in their own collection (comment.model.js)
+    commentCount: {
+      type: Number,
+      default: 0,
     },
 
-    comments: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-          required: true,
-        },
-        text: {
-          type: String,
-          required: [true, 'Comment text is required'],
-          trim: true,
-          maxlength: [500, 'Comment cannot exceed 500 characters'],
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
+    visibility: {
+      type: String,
+      enum: {
+        values: POST_VISIBILITY,
+        message: '{VALUE} is not a valid visibility',
       },
-    ],
-    // Why embedded?
-    // - Comments always shown with post
-    // - Typical post has < 50 comments
-    // - Faster than JOIN query
+      default: 'friends',
+    },
+
+    // Only members of this friend list (and the author) can see the post
+    // Set only when visibility = 'list'
+    audienceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FriendList',
+      default: null,
+    },
+
+    // Foundation announcement (always public, shown in the public feed)
+    isAnnouncement: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Hidden by a moderator (report action) - only the author still sees it
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -90,38 +107,24 @@ const postSchema = new mongoose.Schema(
  * 1. author - Get all posts by user
  * 2. createdAt (desc) - Timeline sorting (newest first)
  * 3. Compound [author, createdAt] - User's posts sorted
+ * 4. Compound [isAnnouncement, createdAt] - Public announcements feed
+ * 5. Compound [author, _id] - Timeline cursor pagination (before=<postId>)
  */
 postSchema.index({ author: 1, createdAt: -1 });
+postSchema.index({ author: 1, _id: -1 });
 postSchema.index({ createdAt: -1 });
+postSchema.index({ isAnnouncement: 1, createdAt: -1 });
 
 /**
- * Virtual: Like Count
- * 
- * Why virtual?
- * - Calculate on-the-fly
- * - No need to store separately
- * - Always accurate
- */
-postSchema.virtual('likeCount').get(function () {
-  return this.likes.length;
-});
-
-/**
- * Virtual: Comment Count
+ * Virtual: Reaction Count (all types)
  */
-postSchema.virtual('commentCount').get(function () {
-  return this.comments.length;
+postSchema.virtual('reactionCount').get(function () {
+  return REACTION_TYPES.reduce(
+    (total, type) => total + (this.reactionCounts?.[type] || 0),
+    0
+  );
 });
 
-/**
- * Method: Check if user liked this post
- * 
- * Usage: post.isLikedBy(userId)
- */
-postSchema.methods.isLikedBy = function (userId) {
-  return this.likes.some((like) => like.toString() === userId.toString());
-};
-
 /**
  * Ensure virtuals are included in JSON
  */
@@ -1,34 +1,70 @@
 import express from 'express';
 import postController from './post.controller.js';
+import commentController from './comment.controller.js';
+import reactionController from './reaction.controller.js';
 import { protect } from '../../middleware/auth.middleware.js';
+import { upload } from '../../config/cloudinary.js';
+import { MAX_POST_IMAGES } from './post.model.js';
 
 const router = express.Router();
 
 /**
- * All routes require authentication
+ * All routes require authentication (except the announcements feed)
  */
 
+// Public announcements feed (must be before /:id)
+router.get('/announcements', postController.getAnnouncements.bind(postController));
+
 // Timeline (must be before /:id)
 router.get('/timeline', protect, postController.getTimeline.bind(postController));
 
 // User posts (must be before /:id)
 router.get('/user/:userId', protect, postController.getUserPosts.bind(postController));
 
-// Post CRUD
-router.post('/', protect, postController.createPost.bind(postController));
+// Post CRUD (JSON or multipart with 'images' files)
+router.post(
+  '/',
+  protect,
+  upload.array('images', MAX_POST_IMAGES),
+  postController.createPost.bind(postController)
+);
 router.get('/:id', protect, postController.getPost.bind(postController));
-router.put('/:id', protect, postController.updatePost.bind(postController));
+router.put(
+  '/:id',
+  protect,
+  upload.array('images', MAX_POST_IMAGES),
+  postController.updatePost.bind(postController)
+);
 router.delete('/:id', protect, postController.deletePost.bind(postController));
 
-// Like
-router.post('/:id/like', protect, postController.toggleLike.bind(postController));
+// Reactions
+router.get('/:id/reactions', protect, reactionController.getReactions.bind(reactionController));
+router.put('/:id/reaction', protect, reactionController.react.bind(reactionController));
+router.delete('/:id/reaction', protect, reactionController.unreact.bind(reactionController));
+router.post('/:id/like', protect, reactionController.toggleLike.bind(reactionController));
 
 // Comments
-router.post('/:id/comment', protect, postController.addComment.bind(postController));
+router.get('/:id/comments', protect, commentController.getComments.bind(commentController));
+router.get(
+  '/:id/comments/:commentId/replies',
+  protect,
+  commentController.getReplies.bind(commentController)
+);
+router.post('/:id/comment', protect, commentController.addComment.bind(commentController));
+router.patch(
+  '/:id/comment/:commentId',
+  protect,
+  commentController.updateComment.bind(commentController)
+);
 router.delete(
   '/:id/comment/:commentId',
   protect,
-  postController.deleteComment.bind(postController)
+  commentController.deleteComment.bind(commentController)
+);
+router.post(
+  '/:id/comment/:commentId/like',
+  protect,
+  commentController.toggleCommentLike.bind(commentController)
 );
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,13 @@
-import Post from './post.model.js';
+import Post, { POST_VISIBILITY, MAX_POST_IMAGES } from './post.model.js';
+import Comment from './comment.model.js';
+import Reaction, { REACTION_TYPES } from './reaction.model.js';
 import User from '../auth/user.model.js';
+import Block from '../friends/block.model.js';
+import Follow from '../friends/follow.model.js';
+import FriendList from '../friends/friendList.model.js';
+import Friendship from '../friends/friendship.model.js';
+import { uploadImage, destroyImage } from '../../config/cloudinary.js';
+import { config } from '../../config/env.js';
 import mongoose from 'mongoose';
 
 /**
@@ -9,37 +17,68 @@ import mongoose from 'mongoose';
  * Controller → Service → Model → Database
  */
 
+const HOUR_MS = 60 * 60 * 1000;
+
+const TIMELINE_SORTS = ['latest', 'top'];
+
 class PostService {
   /**
    * Create new post
    * 
    * @param {string} userId - Author ID
-   * @param {Object} postData - { content, images }
+   * @param {Object} postData - { content, visibility, audienceList, isAnnouncement }
+   *   visibility: public | friends (default) | private | list
+   *   audienceList: own friend list id (visibility = list)
+   *   isAnnouncement: foundation announcement → always public
+   * @param {Array} files - Uploaded images (multer, memory storage)
+   * @param {boolean} canAnnounce - Has post:announce permission
    * @returns {Promise<Object>}
    */
-  async createPost(userId, postData) {
-    const { content, images = [] } = postData;
+  async createPost(userId, postData, files = [], canAnnounce = false) {
+    const { content } = postData;
+    // Multipart form fields arrive as strings
+    const isAnnouncement = [true, 'true'].includes(postData.isAnnouncement);
 
     // Validate content
-    if (!content || content.trim().length === 0) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
       const error = new Error('Post content is required');
       error.statusCode = 400;
       throw error;
     }
 
     // Validate images array
-    if (images.length > 5) {
-      const error = new Error('Cannot upload more than 5 images');
+    if (files.length > MAX_POST_IMAGES) {
+      const error = new Error(`Cannot upload more than ${MAX_POST_IMAGES} images`);
       error.statusCode = 400;
       throw error;
     }
 
+    if (isAnnouncement && !canAnnounce) {
+      const error = new Error('You do not have permission to post announcements');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const audience = isAnnouncement
+      ? { visibility: 'public', audienceList: null }
+      : await this.resolveAudience(userId, postData);
+
+    const images = await this.uploadPostImages(files);
+
     // Create post
-    const post = await Post.create({
-      author: userId,
-      content: content.trim(),
-      images,
-    });
+    let post;
+    try {
+      post = await Post.create({
+        author: userId,
+        content: content.trim(),
+        images,
+        ...audience,
+        isAnnouncement,
+      });
+    } catch (error) {
+      await this.destroyPostImages(images);
+      throw error;
+    }
 
     // Populate author details
     await post.populate('author', 'name profilePicture');
@@ -48,57 +87,381 @@ class PostService {
   }
 
   /**
-   * Get timeline posts
+   * Upload post images to Cloudinary
+   * 
+   * @param {Array} files - multer files ({ buffer })
+   * @returns {Promise<Object[]>} - [{ url, publicId, width, height }]
+   */
+  async uploadPostImages(files = []) {
+    const results = await Promise.all(
+      files.map((file) =>
+        uploadImage(file.buffer, {
+          folder: 'foundation/posts',
+          transformation: [
+            { width: 2000, height: 2000, crop: 'limit' },
+            { quality: 'auto' },
+          ],
+        })
+      )
+    );
+
+    return results.map((result) => ({
+      url: result.secure_url,
+      publicId: result.public_id,
+      width: result.width,
+      height: result.height,
+    }));
+  }
+
+  /**
+   * Delete post images from Cloudinary (failures logged, not thrown)
    * 
-   * Logic:
-   * 1. Get user's friends
-   * 2. Get posts from user + friends
-   * 3. Sort by newest first
-   * 4. Paginate results
+   * @param {Object[]} images - [{ publicId }]
+   */
+  async destroyPostImages(images = []) {
+    await Promise.all(images.map((image) => destroyImage(image.publicId)));
+  }
+
+  /**
+   * Validate visibility + audience list from request data
    * 
-   * @param {string} userId - Current user
-   * @param {number} page - Page number
-   * @param {number} limit - Posts per page
-   * @returns {Promise<Object>}
+   * Only audienceList given (older clients) → list visibility
+   * 
+   * @param {string} userId - Author (must own the list)
+   * @param {Object} data - { visibility, audienceList }
+   * @returns {Promise<Object>} - { visibility, audienceList }
+   */
+  async resolveAudience(userId, { visibility, audienceList }) {
+    const level = visibility || (audienceList ? 'list' : 'friends');
+
+    if (!POST_VISIBILITY.includes(level)) {
+      const error = new Error(`Visibility must be one of: ${POST_VISIBILITY.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (level !== 'list') {
+      return { visibility: level, audienceList: null };
+    }
+
+    if (!audienceList) {
+      const error = new Error('Friend list is required for list visibility');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const list = await FriendList.exists({ _id: audienceList, owner: userId });
+    if (!list) {
+      const error = new Error('Friend list not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return { visibility: 'list', audienceList };
+  }
+
+  /**
+   * Visibility filter: posts the viewer is allowed to see
+   * 
+   * - Own posts → visible
+   * - public → visible
+   * - friends → viewer must be the author's friend
+   * - list → viewer must be a member
+   * - private → author only
+   * - hidden by a moderator → author only
+   * 
+   * @param {string} viewerId
+   * @param {Array} [friendIds] - Viewer's friend ids (if already loaded)
+   * @returns {Promise<Object>} - Mongo filter
    */
-  async getTimeline(userId, page = 1, limit = 20) {
-    // Import Friendship model here to avoid circular dependency
-    const Friendship = mongoose.model('Friendship');
+  async visibilityFilter(viewerId, friendIds = null) {
+    const [friends, listIds] = await Promise.all([
+      friendIds || Friendship.getFriendIds(viewerId),
+      FriendList.getListIdsContaining(viewerId),
+    ]);
 
-    // Step 1: Get user's friends
-    const friendships = await Friendship.find({
+    return {
       $or: [
-        { requester: userId, status: 'accepted' },
-        { recipient: userId, status: 'accepted' },
+        { author: viewerId },
+        { isHidden: { $ne: true }, visibility: 'public' },
+        { isHidden: { $ne: true }, visibility: 'friends', author: { $in: friends } },
+        { isHidden: { $ne: true }, visibility: 'list', audienceList: { $in: listIds } },
       ],
-    });
+    };
+  }
 
-    // Extract friend IDs
-    const friendIds = friendships.map((f) =>
-      f.requester.toString() === userId.toString()
-        ? f.recipient
-        : f.requester
-    );
+  /**
+   * Can viewer see this post? (single post check)
+   * 
+   * @param {Object} post - Post document (author may be populated)
+   * @param {string} viewerId
+   * @returns {Promise<boolean>}
+   */
+  async canView(post, viewerId) {
+    const authorId = post.author._id || post.author;
+
+    if (authorId.toString() === viewerId.toString()) return true;
+    if (post.isHidden) return false;
+    if (await Block.isBlockedBetween(viewerId, authorId)) return false;
+
+    switch (post.visibility) {
+      case 'public':
+        return true;
+      case 'friends':
+        return Friendship.areFriends(viewerId, authorId);
+      case 'list':
+        return !!(await FriendList.exists({ _id: post.audienceList, members: viewerId }));
+      default:
+        return false; // private
+    }
+  }
+
+  /**
+   * Load post the viewer is allowed to see
+   * 
+   * Hidden (block / visibility) → same 404 as missing
+   * 
+   * @param {string} postId
+   * @param {string} viewerId
+   * @returns {Promise<Object>} - Post document
+   */
+  async findViewablePost(postId, viewerId) {
+    const post = await Post.findById(postId);
+
+    if (!post || !(await this.canView(post, viewerId))) {
+      const error = new Error('Post not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return post;
+  }
+
+  /**
+   * Add viewer's own reaction to each post (myReaction: type | null)
+   * 
+   * @param {Object[]} posts - Post documents
+   * @param {string} viewerId
+   * @returns {Promise<Object[]>} - Plain objects
+   */
+  async attachMyReactions(posts, viewerId) {
+    const reactions = await Reaction.find({
+      user: viewerId,
+      post: { $in: posts.map((post) => post._id) },
+    }).select('post type');
+
+    const byPost = new Map(reactions.map((r) => [r.post.toString(), r.type]));
+
+    return posts.map((post) => ({
+      ...post.toJSON(),
+      myReaction: byPost.get(post._id.toString()) || null,
+    }));
+  }
+
+  /**
+   * Timeline filter: which posts can appear in the viewer's feed
+   * 
+   * One $or branch per relationship, each one served by the
+   * { author, _id } index (works with thousands of friends):
+   * - own posts → all
+   * - friends → public + friends
+   * - followed (not friends) → public
+   * - friend lists the viewer is in → list posts
+   * 
+   * Blocked (either way) and muted authors, and posts hidden
+   * by a moderator, never show up
+   * 
+   * @param {string} userId
+   * @returns {Promise<Object>} - Mongo filter
+   */
+  async timelineFilter(userId) {
+    const [friendIds, followingIds, hiddenIds, listIds] = await Promise.all([
+      Friendship.getFriendIds(userId),
+      Follow.getFollowingIds(userId),
+      Block.getHiddenAuthorIds(userId),
+      FriendList.getListIdsContaining(userId),
+    ]);
+
+    const hidden = new Set(hiddenIds.map((id) => id.toString()));
+    const visible = (ids) => ids.filter((id) => !hidden.has(id.toString()));
+
+    const friends = visible(friendIds);
+    const friendSet = new Set(friends.map((id) => id.toString()));
+    // Set: a friend can also be followed
+    const followOnly = visible(followingIds).filter((id) => !friendSet.has(id.toString()));
+
+    // Also used in aggregate $match, which does not cast ids
+    const me = new mongoose.Types.ObjectId(userId.toString());
+
+    return {
+      $or: [
+        { author: me },
+        {
+          author: { $in: friends },
+          visibility: { $in: ['public', 'friends'] },
+          isHidden: { $ne: true },
+        },
+        { author: { $in: followOnly }, visibility: 'public', isHidden: { $ne: true } },
+        {
+          author: { $in: [...friends, ...followOnly] },
+          visibility: 'list',
+          audienceList: { $in: listIds },
+          isHidden: { $ne: true },
+        },
+      ],
+    };
+  }
+
+  /**
+   * "top" score: engagement, decaying with age
+   * 
+   * (reactions + 2 × comments + 1) / (age in hours + 2) ^ 1.5
+   * 
+   * @param {Date} asOf - Reference time (same for every page)
+   * @returns {Object} - Aggregation expression
+   */
+  topScoreExpression(asOf) {
+    const reactions = REACTION_TYPES.map((type) => ({
+      $ifNull: [`$reactionCounts.${type}`, 0],
+    }));
+
+    return {
+      $divide: [
+        { $add: [...reactions, { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] }, 1] },
+        {
+          $pow: [
+            { $add: [{ $divide: [{ $subtract: [asOf, '$createdAt'] }, HOUR_MS] }, 2] },
+            1.5,
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Get timeline posts (cursor paginated)
+   * 
+   * Sort:
+   * - latest → newest first (default)
+   * - top    → most reactions / comments, recent posts favoured
+   *            (last config.timeline.topWindowDays days)
+   * 
+   * Paging: pass the last post id of the previous page as `before`.
+   * For "top", also pass back `asOf` so scores don't shift between pages.
+   * 
+   * @param {string} userId - Current user
+   * @param {Object} options - { sort, before, asOf, limit }
+   * @returns {Promise<Object>} - { posts, pagination: { limit, hasMore, nextCursor, asOf } }
+   */
+  async getTimeline(userId, { sort = 'latest', before, asOf, limit = 20 } = {}) {
+    if (!TIMELINE_SORTS.includes(sort)) {
+      const error = new Error(`Sort must be one of: ${TIMELINE_SORTS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      const error = new Error('Invalid cursor');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const filter = await this.timelineFilter(userId);
+    let rows;
+    let referenceTime = null;
+
+    if (sort === 'latest') {
+      rows = await Post.find({
+        ...filter,
+        ...(before && { _id: { $lt: before } }),
+      })
+        .sort({ _id: -1 })
+        .limit(limit + 1);
+    } else {
+      referenceTime = asOf ? new Date(asOf) : new Date();
+      if (isNaN(referenceTime)) {
+        const error = new Error('Invalid asOf date');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const windowStart = new Date(
+        referenceTime.getTime() - config.timeline.topWindowDays * 24 * HOUR_MS
+      );
+
+      const scored = [
+        { $match: { ...filter, createdAt: { $gte: windowStart, $lte: referenceTime } } },
+        { $addFields: { score: this.topScoreExpression(referenceTime) } },
+      ];
+
+      const after = [];
+      if (before) {
+        const beforeId = new mongoose.Types.ObjectId(before);
+        const [last] = await Post.aggregate([
+          ...scored,
+          { $match: { _id: beforeId } },
+          { $project: { score: 1 } },
+        ]);
+
+        if (!last) {
+          const error = new Error('Invalid cursor');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        after.push({
+          $match: {
+            $or: [
+              { score: { $lt: last.score } },
+              { score: last.score, _id: { $lt: beforeId } },
+            ],
+          },
+        });
+      }
+
+      const docs = await Post.aggregate([
+        ...scored,
+        ...after,
+        { $sort: { score: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        { $project: { score: 0 } },
+      ]);
+
+      rows = docs.map((doc) => Post.hydrate(doc));
+    }
 
-    console.log('📊 Timeline query for user:', userId);
-    console.log('   Friends count:', friendIds.length);
+    const hasMore = rows.length > limit;
+    const posts = rows.slice(0, limit);
+    await Post.populate(posts, { path: 'author', select: 'name profilePicture role' });
 
-    // Step 2: Get posts from user + friends
-    const posts = await Post.find({
-      author: { $in: [userId, ...friendIds] },
-    })
+    return {
+      posts: await this.attachMyReactions(posts, userId),
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? posts[posts.length - 1]._id : null,
+        ...(referenceTime && { asOf: referenceTime }),
+      },
+    };
+  }
+
+  /**
+   * Get foundation announcements (public feed, no login)
+   * 
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getAnnouncements(page = 1, limit = 20) {
+    const filter = { isAnnouncement: true, visibility: 'public', isHidden: { $ne: true } };
+
+    const posts = await Post.find(filter)
       .populate('author', 'name profilePicture role')
-      .populate('comments.user', 'name profilePicture')
-      .sort({ createdAt: -1 }) // Newest first
+      .sort({ createdAt: -1 })
       .limit(limit)
       .skip((page - 1) * limit);
 
-    // Get total count for pagination
-    const total = await Post.countDocuments({
-      author: { $in: [userId, ...friendIds] },
-    });
-
-    console.log('   Posts found:', posts.length);
+    const total = await Post.countDocuments(filter);
 
     return {
       posts,
@@ -115,42 +478,56 @@ class PostService {
    * Get single post by ID
    * 
    * @param {string} postId
+   * @param {string} viewerId - Current user (block check)
    * @returns {Promise<Object>}
    */
-  async getPostById(postId) {
+  async getPostById(postId, viewerId) {
     const post = await Post.findById(postId)
-      .populate('author', 'name profilePicture role')
-      .populate('comments.user', 'name profilePicture');
+      .populate('author', 'name profilePicture role');
 
-    if (!post) {
+    // Hidden (block / visibility) → same 404 as missing
+    if (!post || !(await this.canView(post, viewerId))) {
       const error = new Error('Post not found');
       error.statusCode = 404;
       throw error;
     }
 
-    return post;
+    const [withReaction] = await this.attachMyReactions([post], viewerId);
+
+    return withReaction;
   }
 
   /**
    * Get user's posts
    * 
    * @param {string} userId
+   * @param {string} viewerId - Current user (block check)
    * @param {number} page
    * @param {number} limit
    * @returns {Promise<Object>}
    */
-  async getUserPosts(userId, page = 1, limit = 20) {
-    const posts = await Post.find({ author: userId })
+  async getUserPosts(userId, viewerId, page = 1, limit = 20) {
+    if (await Block.isBlockedBetween(viewerId, userId)) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const filter = {
+      author: userId,
+      ...(await this.visibilityFilter(viewerId)),
+    };
+
+    const posts = await Post.find(filter)
       .populate('author', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture')
       .sort({ createdAt: -1 })
       .limit(limit)
       .skip((page - 1) * limit);
 
-    const total = await Post.countDocuments({ author: userId });
+    const total = await Post.countDocuments(filter);
 
     return {
-      posts,
+      posts: await this.attachMyReactions(posts, viewerId),
       pagination: {
         page,
         limit,
@@ -165,12 +542,23 @@ class PostService {
    * 
    * Security: Only author can update
    * 
+   * Images:
+   * - removeImages: image ids to remove (array or comma separated)
+   * - files: new images appended (total still max 5)
+   * 
    * @param {string} postId
    * @param {string} userId - Current user
-   * @param {Object} updateData
+   * @param {Object} updateData - { content, visibility, audienceList, removeImages }
+   * @param {Array} files - Uploaded images (multer)
    * @returns {Promise<Object>}
    */
-  async updatePost(postId, userId, updateData) {
+  async updatePost(postId, userId, updateData, files = []) {
+    if (updateData.content !== undefined && typeof updateData.content !== 'string') {
+      const error = new Error('Post content must be text');
+      error.statusCode = 400;
+      throw error;
+    }
+
     const post = await Post.findById(postId);
 
     if (!post) {
@@ -191,153 +579,78 @@ class PostService {
       post.content = updateData.content.trim();
     }
 
-    // Note: Images cannot be updated (user must delete and create new post)
-    // Why? Simpler logic, prevents abuse
-
-    await post.save();
-
-    await post.populate('author', 'name profilePicture');
-    await post.populate('comments.user', 'name profilePicture');
-
-    return post;
-  }
-
-  /**
-   * Delete post
-   * 
-   * Security: Only author or admin can delete
-   * 
-   * @param {string} postId
-   * @param {string} userId
-   * @param {string} userRole
-   * @returns {Promise<void>}
-   */
-  async deletePost(postId, userId, userRole) {
-    const post = await Post.findById(postId);
-
-    if (!post) {
-      const error = new Error('Post not found');
-      error.statusCode = 404;
-      throw error;
-    }
-
-    // Check permission: author or admin
-    const isAuthor = post.author.toString() === userId.toString();
-    const isAdmin = userRole === 'admin';
-
-    if (!isAuthor && !isAdmin) {
-      const error = new Error('You can only delete your own posts');
-      error.statusCode = 403;
-      throw error;
+    if (updateData.visibility !== undefined || updateData.audienceList !== undefined) {
+      if (post.isAnnouncement) {
+        const error = new Error('Announcements are always public');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const { visibility, audienceList } = await this.resolveAudience(userId, {
+        visibility:
+          updateData.visibility || (updateData.audienceList ? 'list' : post.visibility),
+        audienceList:
+          updateData.audienceList !== undefined ? updateData.audienceList : post.audienceList,
+      });
+
+      post.visibility = visibility;
+      post.audienceList = audienceList;
     }
 
-    await post.deleteOne();
+    const removeIds = [
+      ...new Set(
+        [updateData.removeImages || []]
+          .flat()
+          .flatMap((ids) => String(ids).split(','))
+          .map((id) => id.trim())
+          .filter(Boolean)
+      ),
+    ];
 
-    console.log('🗑️  Post deleted:', postId);
-  }
+    const removed = post.images.filter((image) => removeIds.includes(image._id.toString()));
 
-  /**
-   * Like/Unlike post
-   * 
-   * Toggle logic:
-   * - If already liked → Unlike (remove from array)
-   * - If not liked → Like (add to array)
-   * 
-   * @param {string} postId
-   * @param {string} userId
-   * @returns {Promise<Object>}
-   */
-  async toggleLike(postId, userId) {
-    const post = await Post.findById(postId);
-
-    if (!post) {
-      const error = new Error('Post not found');
+    if (removed.length !== removeIds.length) {
+      const error = new Error('Image not found');
       error.statusCode = 404;
       throw error;
     }
 
-    // Check if user already liked
-    const alreadyLiked = post.likes.some(
-      (like) => like.toString() === userId.toString()
-    );
-
-    if (alreadyLiked) {
-      // Unlike: Remove from array
-      post.likes = post.likes.filter(
-        (like) => like.toString() !== userId.toString()
-      );
-    } else {
-      // Like: Add to array
-      post.likes.push(userId);
-    }
-
-    await post.save();
-
-    await post.populate('author', 'name profilePicture');
-
-    return {
-      post,
-      action: alreadyLiked ? 'unliked' : 'liked',
-      likeCount: post.likes.length,
-    };
-  }
-
-  /**
-   * Add comment to post
-   * 
-   * @param {string} postId
-   * @param {string} userId
-   * @param {string} text
-   * @returns {Promise<Object>}
-   */
-  async addComment(postId, userId, text) {
-    if (!text || text.trim().length === 0) {
-      const error = new Error('Comment text is required');
+    if (post.images.length - removed.length + files.length > MAX_POST_IMAGES) {
+      const error = new Error(`Cannot upload more than ${MAX_POST_IMAGES} images`);
       error.statusCode = 400;
       throw error;
     }
 
-    const post = await Post.findById(postId);
+    const added = await this.uploadPostImages(files);
 
-    if (!post) {
-      const error = new Error('Post not found');
-      error.statusCode = 404;
+    removed.forEach((image) => post.images.pull(image._id));
+    post.images.push(...added);
+
+    try {
+      await post.save();
+    } catch (error) {
+      await this.destroyPostImages(added);
       throw error;
     }
 
-    // Add comment to array
-    post.comments.push({
-      user: userId,
-      text: text.trim(),
-      createdAt: new Date(),
-    });
-
-    await post.save();
+    await this.destroyPostImages(removed);
 
-    // Populate for response
     await post.populate('author', 'name profilePicture');
-    await post.populate('comments.user', 'name profilePicture');
 
-    // Get the newly added comment
-    const newComment = post.comments[post.comments.length - 1];
-
-    return {
-      post,
-      comment: newComment,
-    };
+    return post;
   }
 
   /**
-   * Delete comment
+   * Delete post
    * 
-   * Security: Only comment author or post author can delete
+   * Security: Only author or users with post:delete-any can delete
    * 
    * @param {string} postId
-   * @param {string} commentId
    * @param {string} userId
-   * @returns {Promise<Object>}
+   * @param {boolean} canDeleteAny - Has post:delete-any permission
+   * @returns {Promise<void>}
    */
-  async deleteComment(postId, commentId, userId) {
+  async deletePost(postId, userId, canDeleteAny = false) {
     const post = await Post.findById(postId);
 
     if (!post) {
@@ -346,34 +659,21 @@ class PostService {
       throw error;
     }
 
-    // Find comment
-    const comment = post.comments.id(commentId);
-
-    if (!comment) {
-      const error = new Error('Comment not found');
-      error.statusCode = 404;
-      throw error;
-    }
-
-    // Check permission
-    const isCommentAuthor = comment.user.toString() === userId.toString();
-    const isPostAuthor = post.author.toString() === userId.toString();
+    // Check permission: author or moderator
+    const isAuthor = post.author.toString() === userId.toString();
 
-    if (!isCommentAuthor && !isPostAuthor) {
-      const error = new Error('You can only delete your own comments');
+    if (!isAuthor && !canDeleteAny) {
+      const error = new Error('You can only delete your own posts');
       error.statusCode = 403;
       throw error;
     }
 
-    // Remove comment using pull (Mongoose subdocument method)
-    post.comments.pull(commentId);
-
-    await post.save();
-
-    await post.populate('author', 'name profilePicture');
-    await post.populate('comments.user', 'name profilePicture');
+    await post.deleteOne();
+    await Comment.deleteMany({ post: post._id });
+    await Reaction.deleteMany({ post: post._id });
+    await this.destroyPostImages(post.images);
 
-    return post;
+    console.log('🗑️  Post deleted:', postId);
   }
 }
 
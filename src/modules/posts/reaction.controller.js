@@ -0,0 +1,100 @@
+import reactionService from './reaction.service.js';
+
+/**
+ * Reaction Controller
+ * 
+ * Responsibility: HTTP layer only
+ */
+
+class ReactionController {
+  /**
+   * @desc    React to post (or change reaction)
+   * @route   PUT /api/posts/:id/reaction
+   * @access  Private
+   */
+  async react(req, res, next) {
+    try {
+      const result = await reactionService.react(
+        req.params.id,
+        req.user._id,
+        req.body?.type
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Reaction saved',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Remove own reaction
+   * @route   DELETE /api/posts/:id/reaction
+   * @access  Private
+   */
+  async unreact(req, res, next) {
+    try {
+      const result = await reactionService.unreact(req.params.id, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Reaction removed',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Like/Unlike post
+   * @route   POST /api/posts/:id/like
+   * @access  Private
+   */
+  async toggleLike(req, res, next) {
+    try {
+      const result = await reactionService.toggleLike(req.params.id, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: `Post ${result.action}`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Who reacted to a post
+   * @route   GET /api/posts/:id/reactions?type=&cursor=&limit=20
+   * @access  Private
+   */
+  async getReactions(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { reactions, reactionCounts, nextCursor, hasMore } =
+        await reactionService.getReactions(req.params.id, req.user._id, {
+          type: req.query.type,
+          cursor: req.query.cursor,
+          limit,
+        });
+
+      res.status(200).json({
+        success: true,
+        count: reactions.length,
+        reactionCounts,
+        data: reactions,
+        pagination: { nextCursor, hasMore, limit },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new ReactionController();
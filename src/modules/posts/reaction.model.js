@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * Reaction types
+ * - dua → "praying for you" (requests for dua, sad news)
+ */
+export const REACTION_TYPES = ['like', 'love', 'care', 'dua', 'sad'];
+
+/**
+ * Reaction Schema
+ * 
+ * One reaction per user per post (changing type updates the same document)
+ * 
+ * Post.reactionCounts keeps the per-type totals,
+ * so feeds never count this collection
+ */
+const reactionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: {
+        values: REACTION_TYPES,
+        message: '{VALUE} is not a valid reaction',
+      },
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - post + user (unique): one reaction per user per post
+ * - post + type + _id: "who reacted" list, filtered by type, cursor paginated
+ */
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+reactionSchema.index({ post: 1, type: 1, _id: -1 });
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+export default Reaction;
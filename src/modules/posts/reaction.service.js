@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import Reaction, { REACTION_TYPES } from './reaction.model.js';
+import Post from './post.model.js';
+import postService from './post.service.js';
+import Block from '../friends/block.model.js';
+import Friendship from '../friends/friendship.model.js';
+
+/**
+ * Reaction Service Layer
+ * 
+ * One reaction per user per post; Post.reactionCounts updated with $inc
+ */
+
+class ReactionService {
+  /**
+   * Apply counter changes and return the post's totals
+   * 
+   * @param {string} postId
+   * @param {Object} changes - { like: 1, love: -1 }
+   * @returns {Promise<Object>} - { reactionCounts, reactionCount }
+   */
+  async updateCounts(postId, changes) {
+    const inc = Object.fromEntries(
+      Object.entries(changes).map(([type, by]) => [`reactionCounts.${type}`, by])
+    );
+
+    const post = Object.keys(inc).length
+      ? await Post.findByIdAndUpdate(postId, { $inc: inc }, { new: true })
+      : await Post.findById(postId);
+
+    return {
+      reactionCounts: post.reactionCounts,
+      reactionCount: post.reactionCount,
+    };
+  }
+
+  /**
+   * React to post (or change reaction type)
+   * 
+   * @param {string} postId
+   * @param {string} userId
+   * @param {string} type - like | love | care | dua | sad
+   * @returns {Promise<Object>} - { myReaction, reactionCounts, reactionCount }
+   */
+  async react(postId, userId, type) {
+    if (!REACTION_TYPES.includes(type)) {
+      const error = new Error(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const post = await postService.findViewablePost(postId, userId);
+
+    // Previous reaction (null → new)
+    const previous = await Reaction.findOneAndUpdate(
+      { post: post._id, user: userId },
+      { type },
+      { upsert: true, new: false }
+    );
+
+    let changes = {};
+    if (!previous) {
+      changes = { [type]: 1 };
+      await Friendship.touchInteraction(userId, post.author);
+    } else if (previous.type !== type) {
+      changes = { [previous.type]: -1, [type]: 1 };
+    }
+
+    return {
+      myReaction: type,
+      ...(await this.updateCounts(post._id, changes)),
+    };
+  }
+
+  /**
+   * Remove own reaction
+   * 
+   * @param {string} postId
+   * @param {string} userId
+   * @returns {Promise<Object>} - { myReaction: null, reactionCounts, reactionCount }
+   */
+  async unreact(postId, userId) {
+    const post = await postService.findViewablePost(postId, userId);
+
+    const removed = await Reaction.findOneAndDelete({ post: post._id, user: userId });
+
+    return {
+      myReaction: null,
+      ...(await this.updateCounts(post._id, removed ? { [removed.type]: -1 } : {})),
+    };
+  }
+
+  /**
+   * Like/Unlike post (older clients)
+   * 
+   * - Current reaction is "like" → removed
+   * - Anything else → becomes "like"
+   * 
+   * @param {string} postId
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async toggleLike(postId, userId) {
+    const post = await postService.findViewablePost(postId, userId);
+    const existing = await Reaction.findOne({ post: post._id, user: userId });
+
+    const alreadyLiked = existing?.type === 'like';
+    const result = alreadyLiked
+      ? await this.unreact(post._id, userId)
+      : await this.react(post._id, userId, 'like');
+
+    return {
+      ...result,
+      action: alreadyLiked ? 'unliked' : 'liked',
+      likeCount: result.reactionCounts.like,
+    };
+  }
+
+  /**
+   * Who reacted (cursor paginated, newest first)
+   * 
+   * @param {string} postId
+   * @param {string} viewerId
+   * @param {Object} options - { type, cursor, limit }
+   *   type: only this reaction type
+   *   cursor: nextCursor from the previous page
+   * @returns {Promise<Object>} - { reactions, reactionCounts, nextCursor, hasMore }
+   */
+  async getReactions(postId, viewerId, { type, cursor, limit = 20 } = {}) {
+    const post = await postService.findViewablePost(postId, viewerId);
+
+    if (type && !REACTION_TYPES.includes(type)) {
+      const error = new Error(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      const error = new Error('Invalid cursor');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const filter = {
+      post: post._id,
+      user: { $nin: await Block.getBlockedIds(viewerId) },
+    };
+    if (type) filter.type = type;
+    if (cursor) filter._id = { $lt: cursor };
+
+    const rows = await Reaction.find(filter)
+      .populate('user', 'name profilePicture')
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    return {
+      reactions: page.map((reaction) => ({
+        _id: reaction._id,
+        user: reaction.user,
+        type: reaction.type,
+        reactedAt: reaction.createdAt,
+      })),
+      reactionCounts: post.reactionCounts,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * Remove a member's reactions (account deletion)
+   * 
+   * @param {string} userId
+   */
+  async removeUserReactions(userId) {
+    const reactions = await Reaction.find({ user: userId }).select('post type');
+
+    if (reactions.length > 0) {
+      await Post.bulkWrite(
+        reactions.map((reaction) => ({
+          updateOne: {
+            filter: { _id: reaction.post },
+            update: { $inc: { [`reactionCounts.${reaction.type}`]: -1 } },
+          },
+        }))
+      );
+    }
+
+    await Reaction.deleteMany({ user: userId });
+  }
+}
+
+export default new ReactionService();
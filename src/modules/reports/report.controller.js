@@ -0,0 +1,125 @@
+import reportService from './report.service.js';
+
+/**
+ * Report Controller
+ * 
+ * Responsibility: HTTP layer only
+ */
+
+class ReportController {
+  /**
+   * @desc    Report a post, comment, message or user
+   * @route   POST /api/reports
+   * @access  Private
+   */
+  async createReport(req, res, next) {
+    try {
+      const report = await reportService.createReport(req.user._id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Thanks, our moderators will review your report',
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Own reports and their outcome
+   * @route   GET /api/reports/mine
+   * @access  Private
+   */
+  async getMyReports(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const result = await reportService.getMyReports(req.user._id, page, limit);
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Moderation queue
+   * @route   GET /api/reports?status=pending&targetType=&reason=&targetUser=&page=&limit=
+   * @access  Private (report:moderate)
+   */
+  async getQueue(req, res, next) {
+    try {
+      const { status, targetType, reason, targetUser } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const result = await reportService.getQueue(
+        { status, targetType, reason, targetUser },
+        page,
+        limit
+      );
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Report details (with the reported item as it is now)
+   * @route   GET /api/reports/:id
+   * @access  Private (report:moderate)
+   */
+  async getReport(req, res, next) {
+    try {
+      const report = await reportService.getReport(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Resolve report (dismiss | hide | warn | suspend)
+   * @route   PATCH /api/reports/:id/resolve
+   * @access  Private (report:moderate)
+   */
+  async resolveReport(req, res, next) {
+    try {
+      const { action, note, until } = req.body || {};
+
+      const result = await reportService.resolveReport(
+        req.params.id,
+        { action, note, until },
+        {
+          _id: req.user._id,
+          role: req.user.role,
+          extraPermissions: req.user.extraPermissions,
+          ip: req.ip,
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Report resolved (${action})`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new ReportController();
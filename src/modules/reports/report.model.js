@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+export const REPORT_TARGET_TYPES = ['post', 'comment', 'message', 'user'];
+
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'nudity',
+  'false_information',
+  'scam',
+  'impersonation',
+  'other',
+];
+
+/**
+ * Moderator actions
+ * - dismiss → no violation
+ * - hide    → post / comment hidden, message removed for everyone
+ * - warn    → warning recorded on the reported user
+ * - suspend → reported user's account suspended
+ */
+export const REPORT_ACTIONS = ['dismiss', 'hide', 'warn', 'suspend'];
+
+/**
+ * Report Schema
+ * 
+ * A member reports a post, comment, message or user.
+ * 
+ * - targetUser: owner of the reported content (or the reported user),
+ *   the person a warning / suspension applies to
+ * - snapshot: content at the time of the report, so moderators
+ *   still see it after it is edited or deleted
+ * - Resolving a report resolves every pending report on the same target
+ */
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    targetType: {
+      type: String,
+      enum: {
+        values: REPORT_TARGET_TYPES,
+        message: '{VALUE} cannot be reported',
+      },
+      required: true,
+    },
+
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      enum: {
+        values: REPORT_REASONS,
+        message: '{VALUE} is not a valid report reason',
+      },
+      required: [true, 'Please choose a reason'],
+    },
+
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Details cannot exceed 1000 characters'],
+      default: '',
+    },
+
+    snapshot: {
+      type: String,
+      default: '',
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'resolved', 'dismissed'],
+      default: 'pending',
+    },
+
+    resolution: {
+      action: { type: String, enum: [...REPORT_ACTIONS, null], default: null },
+      note: { type: String, trim: true, default: '' },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      at: { type: Date, default: null },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ * - status + createdAt: moderation queue (oldest pending first)
+ * - targetType + target: all reports on the same content
+ * - targetUser: reports against a member
+ * - reporter + target (unique while pending): no duplicate open reports
+ */
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, target: 1 });
+reportSchema.index({ targetUser: 1, createdAt: -1 });
+reportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
@@ -0,0 +1,35 @@
+import express from 'express';
+import reportController from './report.controller.js';
+import { protect, requirePermission } from '../../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+
+// Members
+router.post('/', protect, reportController.createReport.bind(reportController));
+router.get('/mine', protect, reportController.getMyReports.bind(reportController));
+
+// Moderators
+router.get(
+  '/',
+  protect,
+  requirePermission('report:moderate'),
+  reportController.getQueue.bind(reportController)
+);
+router.get(
+  '/:id',
+  protect,
+  requirePermission('report:moderate'),
+  reportController.getReport.bind(reportController)
+);
+router.patch(
+  '/:id/resolve',
+  protect,
+  requirePermission('report:moderate'),
+  reportController.resolveReport.bind(reportController)
+);
+
+export default router;
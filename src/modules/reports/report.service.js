@@ -0,0 +1,452 @@
+import mongoose from 'mongoose';
+import Report, {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+} from './report.model.js';
+import User from '../auth/user.model.js';
+import Post from '../posts/post.model.js';
+import Comment from '../posts/comment.model.js';
+import Message from '../messages/message.model.js';
+import postService from '../posts/post.service.js';
+import userAdminService from '../auth/userAdmin.service.js';
+import auditService from '../audit/audit.service.js';
+import { getIO } from '../../config/socket.js';
+import { hasPermission } from '../../config/permissions.js';
+
+/**
+ * Report Service Layer
+ * 
+ * Members: report content, see the outcome of their reports
+ * Moderators (report:moderate): queue, resolve with an action
+ */
+
+// Best-effort real-time notification (offline users see it in /api/reports/mine)
+const notify = (userId, event, payload) => {
+  try {
+    getIO().to(userId.toString()).emit(event, payload);
+  } catch (socketError) {
+    console.log('⚠️  Socket.io error:', socketError.message);
+  }
+};
+
+const OUTCOME_MESSAGES = {
+  dismiss: 'We reviewed your report and found no violation of our community rules.',
+  hide: 'Thanks for your report. The content has been removed.',
+  warn: 'Thanks for your report. The member has been warned.',
+  suspend: 'Thanks for your report. The member\'s account has been suspended.',
+};
+
+class ReportService {
+  /**
+   * Load the reported item and check the reporter can see it
+   * 
+   * @param {string} targetType - post | comment | message | user
+   * @param {string} targetId
+   * @param {string} reporterId
+   * @returns {Promise<Object>} - { targetUser, snapshot }
+   */
+  async loadTarget(targetType, targetId, reporterId) {
+    const notFound = (label) => {
+      const error = new Error(`${label} not found`);
+      error.statusCode = 404;
+      return error;
+    };
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      const error = new Error('Invalid target id');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    switch (targetType) {
+      case 'post': {
+        const post = await postService.findViewablePost(targetId, reporterId);
+        return { targetUser: post.author, snapshot: post.content };
+      }
+
+      case 'comment': {
+        const comment = await Comment.findById(targetId);
+        if (!comment) throw notFound('Comment');
+        await postService.findViewablePost(comment.post, reporterId);
+        return { targetUser: comment.user, snapshot: comment.text };
+      }
+
+      case 'message': {
+        // Only the two people in the conversation can report a message
+        const message = await Message.findOne({
+          _id: targetId,
+          $or: [{ sender: reporterId }, { receiver: reporterId }],
+        });
+        if (!message) throw notFound('Message');
+        return { targetUser: message.sender, snapshot: message.content };
+      }
+
+      default: {
+        const user = await User.findOne({ _id: targetId, deletedAt: null }).select('name bio');
+        if (!user) throw notFound('User');
+        return { targetUser: user._id, snapshot: [user.name, user.bio].filter(Boolean).join('\n') };
+      }
+    }
+  }
+
+  /**
+   * Report a post, comment, message or user
+   * 
+   * @param {string} reporterId
+   * @param {Object} data - { targetType, targetId, reason, details }
+   * @returns {Promise<Object>}
+   */
+  async createReport(reporterId, { targetType, targetId, reason, details = '' }) {
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      const error = new Error(`Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      const error = new Error(`Reason must be one of: ${REPORT_REASONS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { targetUser, snapshot } = await this.loadTarget(targetType, targetId, reporterId);
+
+    if (targetUser.toString() === reporterId.toString()) {
+      const error = new Error('You cannot report yourself');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existing = await Report.exists({
+      reporter: reporterId,
+      targetType,
+      target: targetId,
+      status: 'pending',
+    });
+
+    if (existing) {
+      const error = new Error('You have already reported this');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return Report.create({
+      reporter: reporterId,
+      targetType,
+      target: targetId,
+      targetUser,
+      reason,
+      details,
+      snapshot,
+    });
+  }
+
+  /**
+   * Own reports with their outcome
+   * 
+   * @param {string} reporterId
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getMyReports(reporterId, page = 1, limit = 20) {
+    const filter = { reporter: reporterId };
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .select('targetType target reason details status resolution.action resolution.at createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Report.countDocuments(filter),
+    ]);
+
+    return {
+      reports: reports.map((report) => ({
+        ...report.toObject(),
+        outcome: OUTCOME_MESSAGES[report.resolution?.action] || null,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Moderation queue
+   * 
+   * Pending reports oldest first; resolved / dismissed newest first.
+   * Each report carries how many open reports its target has.
+   * 
+   * @param {Object} filters - { status, targetType, reason, targetUser }
+   *   status: pending (default) | resolved | dismissed | all
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getQueue({ status = 'pending', targetType, reason, targetUser } = {}, page = 1, limit = 20) {
+    const filter = {};
+
+    if (status !== 'all') {
+      if (!['pending', 'resolved', 'dismissed'].includes(status)) {
+        const error = new Error('Status must be pending, resolved, dismissed or all');
+        error.statusCode = 400;
+        throw error;
+      }
+      filter.status = status;
+    }
+    if (targetType) filter.targetType = targetType;
+    if (reason) filter.reason = reason;
+    if (targetUser) filter.targetUser = targetUser;
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .populate('reporter', 'name profilePicture')
+        .populate('targetUser', 'name profilePicture isActive')
+        .populate('resolution.by', 'name role')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Report.countDocuments(filter),
+    ]);
+
+    const openCounts = await Report.aggregate([
+      { $match: { status: 'pending', target: { $in: reports.map((r) => r.target) } } },
+      { $group: { _id: '$target', count: { $sum: 1 } } },
+    ]);
+    const countByTarget = new Map(openCounts.map((c) => [c._id.toString(), c.count]));
+
+    return {
+      reports: reports.map((report) => ({
+        ...report.toObject(),
+        openReportsOnTarget: countByTarget.get(report.target.toString()) || 0,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Single report with the reported item as it is now
+   * 
+   * @param {string} reportId
+   * @returns {Promise<Object>}
+   */
+  async getReport(reportId) {
+    const report = await Report.findById(reportId)
+      .populate('reporter', 'name profilePicture')
+      .populate('targetUser', 'name profilePicture isActive warnings suspension')
+      .populate('resolution.by', 'name role');
+
+    if (!report) {
+      const error = new Error('Report not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const models = { post: Post, comment: Comment, message: Message, user: User };
+    const fields = {
+      post: 'author content images visibility isHidden createdAt',
+      comment: 'post user text isHidden createdAt',
+      message: 'conversation sender receiver content isDeleted deleteType createdAt',
+      user: 'name bio profilePicture isActive',
+    };
+
+    const current = await models[report.targetType]
+      .findById(report.target)
+      .select(fields[report.targetType]);
+
+    return {
+      ...report.toObject(),
+      current, // null → already deleted
+    };
+  }
+
+  /**
+   * Hide the reported content
+   * 
+   * @param {Object} report
+   * @param {Object} actor - { _id }
+   */
+  async hideTarget(report, actor) {
+    switch (report.targetType) {
+      case 'post':
+        await Post.updateOne({ _id: report.target }, { isHidden: true });
+        break;
+      case 'comment':
+        await Comment.updateOne({ _id: report.target }, { isHidden: true });
+        break;
+      case 'message':
+        await Message.updateOne(
+          { _id: report.target },
+          {
+            isDeleted: true,
+            deleteType: 'for_everyone',
+            deletedBy: actor._id,
+            deletedAt: new Date(),
+          }
+        );
+        break;
+      default: {
+        const error = new Error('Only posts, comments and messages can be hidden');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Record a warning on the reported user
+   * 
+   * @param {Object} report
+   * @param {string} reason
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   */
+  async warnUser(report, reason, actor) {
+    const user = await userAdminService.findTarget(report.targetUser, actor);
+
+    user.warnings.push({ reason, by: actor._id, report: report._id });
+    await user.save();
+
+    await auditService.record({
+      actor: actor._id,
+      action: 'user.warned',
+      targetModel: 'User',
+      target: user._id,
+      after: { warnings: user.warnings.length },
+      reason,
+      ip: actor.ip,
+    });
+
+    notify(user._id, 'moderation:warning', { reason, at: new Date() });
+  }
+
+  /**
+   * Apply the moderator's action to the reported item / user
+   * 
+   * Reported user already suspended or deleted → nothing left to do,
+   * the report is still resolved
+   * 
+   * @param {Object} report
+   * @param {Object} data - { action, reason, until }
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   */
+  async applyAction(report, { action, reason, until }, actor) {
+    if (action === 'hide') {
+      await this.hideTarget(report, actor);
+      return;
+    }
+
+    if (action !== 'warn' && action !== 'suspend') return;
+
+    const user = await User.findById(report.targetUser).select('isActive deletedAt');
+    if (!user || user.deletedAt) return;
+
+    if (action === 'warn') {
+      await this.warnUser(report, reason, actor);
+    } else if (user.isActive) {
+      await userAdminService.suspendUser(report.targetUser, { reason, until }, actor);
+    }
+  }
+
+  /**
+   * Resolve a report with an action
+   * 
+   * Every pending report on the same target gets the same outcome,
+   * and every reporter is notified.
+   * 
+   * Security:
+   * - warn / suspend act on the member's account → also need user:manage
+   * - The report is claimed (pending → resolved) before acting,
+   *   so two moderators cannot both apply an action
+   * 
+   * @param {string} reportId
+   * @param {Object} data - { action, note, until }
+   *   until: suspension end (suspend only, optional)
+   * @param {Object} actor - { _id, role, extraPermissions, ip }
+   * @returns {Promise<Object>} - { report, resolvedCount }
+   */
+  async resolveReport(reportId, { action, note = '', until }, actor) {
+    if (!REPORT_ACTIONS.includes(action)) {
+      const error = new Error(`Action must be one of: ${REPORT_ACTIONS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (typeof note !== 'string') {
+      const error = new Error('Note must be text');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if ((action === 'warn' || action === 'suspend') && !hasPermission(actor, 'user:manage')) {
+      const error = new Error(`You do not have permission to ${action} members`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const status = action === 'dismiss' ? 'dismissed' : 'resolved';
+    const resolution = { action, note: note.trim(), by: actor._id, at: new Date() };
+
+    const report = await Report.findOneAndUpdate(
+      { _id: reportId, status: 'pending' },
+      { status, resolution },
+      { new: true }
+    );
+
+    if (!report) {
+      const exists = await Report.exists({ _id: reportId });
+      const error = new Error(exists ? 'Report has already been handled' : 'Report not found');
+      error.statusCode = exists ? 400 : 404;
+      throw error;
+    }
+
+    const reason = note.trim() || `Reported for ${report.reason.replace(/_/g, ' ')}`;
+
+    try {
+      await this.applyAction(report, { action, reason, until }, actor);
+    } catch (error) {
+      // Action failed → report goes back to the queue
+      await Report.updateOne(
+        { _id: report._id },
+        { status: 'pending', resolution: { action: null, note: '', by: null, at: null } }
+      );
+      throw error;
+    }
+
+    const related = await Report.find({
+      targetType: report.targetType,
+      target: report.target,
+      status: 'pending',
+    }).select('reporter');
+
+    await Report.updateMany(
+      { _id: { $in: related.map((r) => r._id) }, status: 'pending' },
+      { status, resolution }
+    );
+
+    for (const { _id, reporter } of [report, ...related]) {
+      notify(reporter, 'report:resolved', {
+        reportId: _id,
+        targetType: report.targetType,
+        status,
+        message: OUTCOME_MESSAGES[action],
+      });
+    }
+
+    return {
+      report: await Report.findById(report._id).populate('resolution.by', 'name role'),
+      resolvedCount: related.length + 1,
+    };
+  }
+}
+
+export default new ReportService();
@@ -0,0 +1,72 @@
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { config } from '../config/env.js';
+
+/**
+ * Outgoing SMS / Email Sender
+ *
+ * Pluggable: every driver implements
+ *   send({ channel, to, subject, text }) → Promise<void>
+ *
+ * Built-in drivers (development stand-ins):
+ * - console → prints the message to stdout
+ * - file    → appends one JSON line per message to config.messaging.outboxFile
+ *
+ * A real SMS gateway / SMTP driver can be added with registerSenderDriver()
+ * and selected via MESSAGE_SENDER env variable.
+ */
+
+const drivers = new Map();
+
+// ─── Console Driver ───────────────────────────────────────────────────────────
+drivers.set('console', {
+  send: async ({ channel, to, subject, text }) => {
+    console.log(`📤 [${channel}] → ${to}${subject ? ` | ${subject}` : ''}`);
+    console.log(`   ${text}`);
+  },
+});
+
+// ─── File Driver ──────────────────────────────────────────────────────────────
+drivers.set('file', {
+  send: async (message) => {
+    const file = config.messaging.outboxFile;
+    await mkdir(dirname(file), { recursive: true });
+    await appendFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+  },
+});
+
+/**
+ * Register a sender driver
+ *
+ * @param {string} name - Driver name (matches MESSAGE_SENDER)
+ * @param {{ send: Function }} driver
+ */
+export const registerSenderDriver = (name, driver) => {
+  if (!driver || typeof driver.send !== 'function') {
+    throw new Error(`Sender driver "${name}" must implement send()`);
+  }
+  drivers.set(name, driver);
+};
+
+/**
+ * Send a message through the configured driver
+ *
+ * @param {Object} message
+ * @param {'sms'|'email'} message.channel
+ * @param {string} message.to - Phone number or email address
+ * @param {string} [message.subject] - Email only
+ * @param {string} message.text
+ * @returns {Promise<void>}
+ */
+export const sendMessage = async (message) => {
+  const driver = drivers.get(config.messaging.driver);
+
+  if (!driver) {
+    throw new Error(`Unknown message sender driver: ${config.messaging.driver}`);
+  }
+
+  await driver.send(message);
+};
@@ -0,0 +1,145 @@
+/**
+ * Bengali ↔ English name matching helpers
+ *
+ * Members write the same name in different ways:
+ *   "রহিম" / "Rahim" / "Rohim",  "মোহাম্মদ" / "Mohammad" / "Muhammad"
+ *
+ * Approach:
+ * 1. transliterate() → Bengali script to plain Latin ("রহিম" → "rahim")
+ * 2. phoneticKey()   → consonant skeleton, so spelling variants collide
+ *                      ("rahim", "rohim", "raheem" → "rhm")
+ *
+ * Stored on User.searchTokens (one key per word) and compared by prefix.
+ */
+
+const VOWELS = {
+  অ: 'a', আ: 'a', ই: 'i', ঈ: 'i', উ: 'u', ঊ: 'u',
+  ঋ: 'ri', এ: 'e', ঐ: 'oi', ও: 'o', ঔ: 'ou',
+};
+
+const VOWEL_SIGNS = {
+  'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u',
+  'ৃ': 'ri', 'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou',
+};
+
+const CONSONANTS = {
+  ক: 'k', খ: 'kh', গ: 'g', ঘ: 'gh', ঙ: 'ng',
+  চ: 'ch', ছ: 'chh', জ: 'j', ঝ: 'jh', ঞ: 'n',
+  ট: 't', ঠ: 'th', ড: 'd', ঢ: 'dh', ণ: 'n',
+  ত: 't', থ: 'th', দ: 'd', ধ: 'dh', ন: 'n',
+  প: 'p', ফ: 'f', ব: 'b', ভ: 'bh', ম: 'm',
+  য: 'j', র: 'r', ল: 'l', শ: 'sh', ষ: 'sh',
+  স: 's', হ: 'h', ৎ: 't',
+};
+
+// ড়, ঢ়, য় are always consonant + nukta (়) after Unicode normalization
+const NUKTA = '়';
+const NUKTA_CONSONANTS = { ড: 'r', ঢ: 'rh', য: 'y' };
+
+const SIGNS = {
+  'ং': 'ng', 'ঃ': 'h', 'ঁ': '', '্': '', [NUKTA]: '',
+};
+
+const DIGITS = '০১২৩৪৫৬৭৮৯';
+
+// Consonant followed by one of these has no inherent "a"
+const NO_INHERENT_VOWEL = new Set([...Object.keys(VOWEL_SIGNS), '্']);
+
+// ─── Transliterate ────────────────────────────────────────────────────────────
+/**
+ * Convert Bengali script to Latin letters (other characters unchanged)
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export const transliterate = (text = '') => {
+  const chars = [...String(text).normalize('NFC')];
+  let output = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    if (CONSONANTS[char] !== undefined) {
+      let latin = CONSONANTS[char];
+      if (chars[i + 1] === NUKTA && NUKTA_CONSONANTS[char]) {
+        latin = NUKTA_CONSONANTS[char];
+        i++;
+      }
+
+      const next = chars[i + 1];
+      const endOfWord = !next || !/[ঀ-৿]/.test(next);
+      output += latin;
+      if (!endOfWord && !NO_INHERENT_VOWEL.has(next)) {
+        output += 'a';
+      }
+    } else if (VOWELS[char] !== undefined) {
+      output += VOWELS[char];
+    } else if (VOWEL_SIGNS[char] !== undefined) {
+      output += VOWEL_SIGNS[char];
+    } else if (SIGNS[char] !== undefined) {
+      output += SIGNS[char];
+    } else if (DIGITS.includes(char)) {
+      output += DIGITS.indexOf(char);
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+};
+
+// ─── Phonetic Key ─────────────────────────────────────────────────────────────
+/**
+ * Consonant skeleton of a single word
+ *
+ * - Leading vowel kept as "a" (Amin / Emon / Imran start alike)
+ * - Other vowels (and w, y) dropped
+ * - Similar sounds merged (ph/f, bh/v/b, z/j, sh/s, th/t, dh/d, kh/k, q/c/k)
+ * - Doubled letters collapsed (Hossain → Hosain)
+ *
+ * @param {string} word
+ * @returns {string} - "" if nothing searchable is left
+ */
+export const phoneticKey = (word = '') => {
+  let key = transliterate(word)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+  if (!key) return '';
+
+  key = key
+    .replace(/ck/g, 'k')
+    .replace(/c(?!h)/g, 'k')
+    .replace(/chh?/g, 'c')
+    .replace(/ph/g, 'f')
+    .replace(/bh|v/g, 'b')
+    .replace(/kh|q/g, 'k')
+    .replace(/gh/g, 'g')
+    .replace(/jh|z/g, 'j')
+    .replace(/sh|x/g, 's')
+    .replace(/th/g, 't')
+    .replace(/dh/g, 'd')
+    .replace(/w/g, 'o');
+
+  const [first, ...rest] = key;
+  const head = /[aeiouy]/.test(first) ? 'a' : first;
+  const tail = rest.join('').replace(/[aeiouy]/g, '');
+
+  return (head + tail).replace(/(.)\1+/g, '$1');
+};
+
+/**
+ * Phonetic keys for every word of one or more texts
+ *
+ * @param {...string} texts
+ * @returns {string[]} - Unique keys
+ */
+export const phoneticKeys = (...texts) => {
+  const keys = texts
+    .filter(Boolean)
+    .flatMap((text) => String(text).split(/[^\p{L}\p{M}\p{N}]+/u))
+    .map(phoneticKey)
+    .filter(Boolean);
+
+  return [...new Set(keys)];
+};
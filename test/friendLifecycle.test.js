@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import friendService from '../src/modules/friends/friend.service.js';
+import blockService from '../src/modules/friends/block.service.js';
+import Friendship from '../src/modules/friends/friendship.model.js';
+import FriendList from '../src/modules/friends/friendList.model.js';
+import Block from '../src/modules/friends/block.model.js';
+import Follow from '../src/modules/friends/follow.model.js';
+import User from '../src/modules/auth/user.model.js';
+import { config } from '../src/config/env.js';
+import { query, httpError } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('friend request lifecycle', () => {
+  const rahim = new mongoose.Types.ObjectId();
+  const karim = new mongoose.Types.ObjectId();
+  // The pair's one friendship document, as stored
+  let stored;
+
+  beforeEach(() => {
+    stored = null;
+
+    mock.method(User, 'findById', () => query({ _id: karim }));
+    mock.method(Block, 'isBlockedBetween', async () => false);
+    mock.method(Friendship, 'findOne', () => query(stored));
+    mock.method(Friendship, 'findById', () => query(stored));
+    mock.method(Friendship, 'create', async (data) => {
+      stored = new Friendship(data);
+      return stored;
+    });
+    mock.method(Friendship.prototype, 'save', async function () {
+      stored = this;
+      return this;
+    });
+    mock.method(Friendship.prototype, 'deleteOne', async () => {
+      stored = null;
+    });
+    mock.method(Friendship.prototype, 'populate', async function () {
+      return this;
+    });
+    mock.method(FriendList, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('request → accept → unfriend removes both from each other\'s lists', async () => {
+    const request = await friendService.sendFriendRequest(rahim, karim);
+    assert.equal(request.status, 'pending');
+    assert.ok(request.expiresAt > new Date(Date.now() + (config.friends.requestExpireDays - 1) * DAY_MS));
+
+    await assert.rejects(friendService.acceptFriendRequest(request._id, rahim), httpError(403));
+
+    const accepted = await friendService.acceptFriendRequest(request._id, karim);
+    assert.equal(accepted.status, 'accepted');
+    assert.equal(accepted.expiresAt, null);
+
+    await assert.rejects(friendService.sendFriendRequest(karim, rahim), httpError(400, /already friends/));
+
+    await friendService.unfriend(rahim, karim);
+
+    assert.equal(stored, null);
+    assert.deepEqual(
+      FriendList.updateMany.mock.calls.map((call) => call.arguments),
+      [
+        [{ owner: rahim }, { $pull: { members: karim } }],
+        [{ owner: karim }, { $pull: { members: rahim } }],
+      ]
+    );
+  });
+
+  it('a rejected request cannot be accepted later', async () => {
+    const request = await friendService.sendFriendRequest(rahim, karim);
+    await friendService.rejectFriendRequest(request._id, karim);
+
+    await assert.rejects(
+      friendService.acceptFriendRequest(request._id, karim),
+      httpError(400, /already rejected/)
+    );
+    assert.equal(stored.status, 'rejected');
+  });
+
+  it('the rejected sender waits out the cool-down, the other side does not', async () => {
+    const request = await friendService.sendFriendRequest(rahim, karim);
+    await friendService.rejectFriendRequest(request._id, karim);
+
+    await assert.rejects(friendService.sendFriendRequest(rahim, karim), httpError(429));
+
+    // Karim rejected, Karim may ask right away (same document, direction flips)
+    const reversed = await friendService.sendFriendRequest(karim, rahim);
+    assert.equal(reversed._id, request._id);
+    assert.equal(reversed.requester, karim);
+    assert.equal(reversed.status, 'pending');
+  });
+
+  it('an expired request is gone for the recipient and can be sent again', async () => {
+    const request = await friendService.sendFriendRequest(rahim, karim);
+    stored.expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(friendService.acceptFriendRequest(request._id, karim), httpError(404));
+
+    const again = await friendService.sendFriendRequest(rahim, karim);
+    assert.ok(again.expiresAt > new Date());
+  });
+
+  it('unfriending someone who is not a friend is 404 and touches no lists', async () => {
+    await friendService.sendFriendRequest(rahim, karim);
+    mock.method(Friendship, 'findOne', () => query(null));
+
+    await assert.rejects(friendService.unfriend(rahim, karim), httpError(404));
+    assert.equal(FriendList.updateMany.mock.callCount(), 0);
+  });
+
+  it('blocking ends the friendship and removes both from each other\'s lists', async () => {
+    mock.method(Block, 'findOneAndUpdate', async () => ({}));
+    const deleteFriendships = mock.method(Friendship, 'deleteMany', async () => ({}));
+    mock.method(Follow, 'deleteMany', async () => ({}));
+
+    await blockService.blockUser(rahim, karim);
+
+    assert.equal(deleteFriendships.mock.callCount(), 1);
+    assert.deepEqual(
+      FriendList.updateMany.mock.calls.map((call) => call.arguments[0].owner),
+      [rahim, karim]
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import friendListService from '../src/modules/friends/friendList.service.js';
+import FriendList, { MAX_LIST_MEMBERS } from '../src/modules/friends/friendList.model.js';
+import Friendship from '../src/modules/friends/friendship.model.js';
+import { query, httpError } from './helpers.js';
+
+const newIds = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+describe('friendListService members', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  let list;
+
+  beforeEach(() => {
+    list = new FriendList({ owner: ownerId, name: 'Family', members: newIds(3) });
+
+    mock.method(FriendList, 'findOne', () => query(list));
+    mock.method(FriendList, 'countDocuments', async () => 0);
+    // Everyone asked about is a friend
+    mock.method(Friendship, 'getFriendIdsAmong', async (userId, ids) => new Set(ids.map(String)));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('createList rejects members that are not a list', async () => {
+    mock.method(FriendList, 'findOne', () => ({ collation: () => query(null) }));
+    const create = mock.method(FriendList, 'create', async () => list);
+
+    for (const members of ['64b000000000000000000001', { 0: 'x' }, 5]) {
+      await assert.rejects(
+        friendListService.createList(ownerId, { name: 'Team', members }),
+        httpError(400, /list of user ids/)
+      );
+    }
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('createList refuses more than the member cap', async () => {
+    mock.method(FriendList, 'findOne', () => ({ collation: () => query(null) }));
+
+    await assert.rejects(
+      friendListService.createList(ownerId, { name: 'Team', members: newIds(MAX_LIST_MEMBERS + 1) }),
+      httpError(400, /more than/)
+    );
+  });
+
+  it('addMembers refuses to grow a list past the cap', async () => {
+    list.members = newIds(MAX_LIST_MEMBERS - 1);
+    const update = mock.method(FriendList, 'findOneAndUpdate', () => query(list));
+
+    await assert.rejects(
+      friendListService.addMembers(list._id, ownerId, newIds(2)),
+      httpError(400, /more than/)
+    );
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('addMembers only adds while the list still has room', async () => {
+    const added = newIds(2);
+    const update = mock.method(FriendList, 'findOneAndUpdate', () => query(list));
+
+    // Existing members are not counted twice
+    await friendListService.addMembers(list._id, ownerId, [...added, list.members[0]]);
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter[`members.${MAX_LIST_MEMBERS - 2}`], { $exists: false });
+    assert.deepEqual(change.$addToSet.members.$each, added.map(String));
+  });
+
+  it('addMembers fails when a parallel add filled the list', async () => {
+    mock.method(FriendList, 'findOneAndUpdate', () => query(null));
+
+    await assert.rejects(
+      friendListService.addMembers(list._id, ownerId, newIds(1)),
+      httpError(400, /more than/)
+    );
+  });
+});
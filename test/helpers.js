@@ -0,0 +1,35 @@
+/**
+ * Test Helpers
+ */
+
+/**
+ * Fake Mongoose query: chainable like the real one, resolves to `result`
+ *
+ * Usage: mock.method(User, 'findById', () => query(user))
+ *
+ * @param {*} result
+ * @returns {Object}
+ */
+export const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+
+  ['select', 'populate', 'sort', 'limit', 'skip', 'lean'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+
+  return chain;
+};
+
+/**
+ * Error shape thrown by services (for assert.rejects)
+ *
+ * @param {number} statusCode
+ * @param {RegExp} [message]
+ * @returns {Object}
+ */
+export const httpError = (statusCode, message) => ({
+  statusCode,
+  ...(message && { message }),
+});
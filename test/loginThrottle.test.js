@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import authService from '../src/modules/auth/auth.service.js';
+import LoginAttempt from '../src/modules/auth/loginAttempt.model.js';
+import User from '../src/modules/auth/user.model.js';
+import { config } from '../src/config/env.js';
+import { query, httpError } from './helpers.js';
+
+const protection = {
+  maxFailuresPerPhone: 5,
+  maxFailuresPerIp: 20,
+  lockMinutes: 15,
+  windowMinutes: 15,
+  delayAfter: 3,
+  baseDelaySeconds: 2,
+};
+
+describe('LoginAttempt.claim', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts the attempt up front with one atomic $inc', async () => {
+    const update = mock.method(LoginAttempt, 'findOneAndUpdate', async () => null);
+
+    const block = await LoginAttempt.claim('phone:01700000000', 5, protection);
+
+    assert.deepEqual(block, { locked: false, retryAfter: 0 });
+    const [filter, change, options] = update.mock.calls[0].arguments;
+    assert.equal(filter.key, 'phone:01700000000');
+    assert.ok(filter.$or, 'locked keys must not match');
+    assert.deepEqual(change.$inc, { failures: 1 });
+    assert.equal(options.upsert, true);
+    assert.equal(options.new, false);
+  });
+
+  it('reports a locked key without counting', async () => {
+    const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+    mock.method(LoginAttempt, 'findOneAndUpdate', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    mock.method(LoginAttempt, 'findOne', async () => ({ lockedUntil }));
+
+    const block = await LoginAttempt.claim('phone:01700000000', 5, protection);
+
+    assert.equal(block.locked, true);
+    assert.ok(block.retryAfter > 9 * 60);
+  });
+
+  it('gives the attempt back while the progressive delay runs', async () => {
+    const lastFailureAt = new Date();
+    mock.method(LoginAttempt, 'findOneAndUpdate', async () => ({
+      failures: protection.delayAfter,
+      lastFailureAt,
+    }));
+    const release = mock.method(LoginAttempt, 'updateOne', async () => ({}));
+
+    const block = await LoginAttempt.claim('phone:01700000000', 5, protection);
+
+    assert.equal(block.locked, false);
+    assert.equal(block.retryAfter, protection.baseDelaySeconds);
+    const [, change] = release.mock.calls[0].arguments;
+    assert.deepEqual(change.$inc, { failures: -1 });
+    assert.equal(change.$set.lastFailureAt, lastFailureAt);
+  });
+
+  it('locks the key when parallel attempts went past the limit', async () => {
+    mock.method(LoginAttempt, 'findOneAndUpdate', async (filter, change) =>
+      change.$inc
+        ? { failures: 5, lastFailureAt: new Date(Date.now() - 60 * 60 * 1000) }
+        : { failures: 6 }
+    );
+
+    const block = await LoginAttempt.claim('phone:01700000000', 5, protection);
+
+    assert.equal(block.locked, true);
+    assert.equal(block.retryAfter, protection.lockMinutes * 60);
+  });
+});
+
+describe('LoginAttempt.lock', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only locks keys that reached the limit', async () => {
+    const update = mock.method(LoginAttempt, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await LoginAttempt.lock('ip:1.2.3.4', 20, protection), null);
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter.failures, { $gte: 20 });
+    assert.equal(change.$set.failures, 0);
+    assert.ok(change.$set.lockedUntil > new Date());
+  });
+});
+
+describe('authService.login throttling', () => {
+  const user = new User({ name: 'Rahim', phone: '01700000000', password: 'secret1' });
+  const meta = { ip: '203.0.113.7' };
+
+  beforeEach(() => {
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(User.prototype, 'matchPassword', async (password) => password === 'secret1');
+    mock.method(authService, 'recordLogin', async () => {});
+    mock.method(authService, 'createSession', async () => ({ token: 't', refreshToken: 'r' }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('refuses a locked phone before checking the password', async () => {
+    mock.method(LoginAttempt, 'claim', async (key) =>
+      key.startsWith('phone:') ? { locked: true, retryAfter: 600 } : { locked: false, retryAfter: 0 }
+    );
+    const release = mock.method(LoginAttempt, 'release', async () => {});
+
+    await assert.rejects(
+      authService.login('01700000000', 'secret1', meta),
+      httpError(429, /Try again in 10 minute/)
+    );
+
+    assert.equal(User.prototype.matchPassword.mock.callCount(), 0);
+    // IP attempt was counted but never made → given back
+    assert.deepEqual(
+      release.mock.calls.map((call) => call.arguments[0]),
+      [`ip:${meta.ip}`]
+    );
+  });
+
+  it('checks both keys for a lock after a wrong password', async () => {
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+    const lock = mock.method(LoginAttempt, 'lock', async () => null);
+
+    await assert.rejects(authService.login('01700000000', 'wrong', meta), httpError(401));
+
+    assert.deepEqual(
+      lock.mock.calls.map((call) => call.arguments.slice(0, 2)),
+      [
+        ['phone:01700000000', config.loginProtection.maxFailuresPerPhone],
+        [`ip:${meta.ip}`, config.loginProtection.maxFailuresPerIp],
+      ]
+    );
+  });
+
+  it('clears the phone counter and gives back the IP attempt on success', async () => {
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+    const clear = mock.method(LoginAttempt, 'clear', async () => {});
+    const release = mock.method(LoginAttempt, 'release', async () => {});
+
+    const result = await authService.login('01700000000', 'secret1', meta);
+
+    assert.equal(result.token, 't');
+    assert.deepEqual(clear.mock.calls[0].arguments, ['phone:01700000000']);
+    assert.deepEqual(release.mock.calls[0].arguments, [`ip:${meta.ip}`]);
+  });
+});
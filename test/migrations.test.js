@@ -0,0 +1,311 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Migration from '../src/database/migration.model.js';
+import { loadMigrations, migrateUp, migrateDown } from '../src/database/migrator.js';
+import * as extractComments from '../src/database/migrations/007-extract-post-comments.js';
+import * as likesToReactions from '../src/database/migrations/008-post-likes-to-reactions.js';
+import { query } from './helpers.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Deep copy that keeps ObjectIds and Dates (structuredClone would not)
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Date || value instanceof mongoose.Types.ObjectId) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+};
+
+/**
+ * In-memory stand-in for the native MongoDB Db, covering only
+ * what the migrations use: $exists filters, $set / $unset,
+ * upserts with $setOnInsert, and $sort / $group / $push pipelines
+ *
+ * @param {Object} data - { collectionName: [documents] }, changed in place
+ * @returns {Object}
+ */
+const fakeDb = (data) => {
+  const get = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, condition]) =>
+      condition && typeof condition === 'object' && '$exists' in condition
+        ? (get(doc, field) !== undefined) === condition.$exists
+        : String(get(doc, field)) === String(condition)
+    );
+
+  const apply = (doc, { $set = {}, $unset = {} }) => {
+    Object.assign(doc, clone($set));
+    Object.keys($unset).forEach((field) => delete doc[field]);
+  };
+
+  const collection = (name) => {
+    data[name] = data[name] || [];
+    const docs = data[name];
+
+    const iterate = (list) => ({
+      async *[Symbol.asyncIterator]() {
+        yield* list.map((doc) => clone(doc));
+      },
+    });
+
+    return {
+      find: (filter = {}) => iterate(docs.filter((doc) => matches(doc, filter))),
+      updateOne: async (filter, update) => {
+        const doc = docs.find((d) => matches(d, filter));
+        if (doc) apply(doc, update);
+      },
+      updateMany: async (filter, update) => {
+        docs.filter((doc) => matches(doc, filter)).forEach((doc) => apply(doc, update));
+      },
+      deleteMany: async () => {
+        docs.length = 0;
+      },
+      bulkWrite: async (ops) => {
+        for (const { updateOne: { filter, update } } of ops) {
+          if (!docs.some((doc) => matches(doc, filter))) {
+            docs.push({ _id: id(), ...filter, ...update.$setOnInsert });
+          }
+        }
+      },
+      aggregate: (pipeline) => {
+        let rows = docs.map((doc) => clone(doc));
+
+        for (const stage of pipeline) {
+          if (stage.$sort) {
+            const [[field, direction]] = Object.entries(stage.$sort);
+            rows.sort((a, b) => (a[field] - b[field]) * direction);
+          }
+
+          if (stage.$group) {
+            const { _id: key, ...fields } = stage.$group;
+            const groups = new Map();
+            const value = (row, expr) =>
+              typeof expr === 'string'
+                ? get(row, expr.slice(1))
+                : Object.fromEntries(Object.entries(expr).map(([k, e]) => [k, value(row, e)]));
+
+            rows.forEach((row) => {
+              const groupId = value(row, key);
+              const group = groups.get(String(groupId)) || { _id: groupId };
+              groups.set(String(groupId), group);
+
+              Object.entries(fields).forEach(([field, { $push }]) => {
+                group[field] = [...(group[field] || []), value(row, $push)];
+              });
+            });
+
+            rows = [...groups.values()];
+          }
+        }
+
+        return iterate(rows);
+      },
+    };
+  };
+
+  return { collection };
+};
+
+describe('migrator dry run', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('loads every migration file in version order', async () => {
+    const versions = (await loadMigrations()).map((m) => m.version);
+
+    assert.deepEqual(versions, [...versions].sort());
+    assert.ok(versions.includes('007'));
+  });
+
+  it('up --dry-run lists pending migrations and changes nothing', async () => {
+    const all = await loadMigrations();
+    mock.method(Migration, 'distinct', async () => all.slice(0, -2).map((m) => m.version));
+    const create = mock.method(Migration, 'create', async () => {
+      throw new Error('must not record anything');
+    });
+
+    const done = await migrateUp({ dryRun: true });
+
+    assert.deepEqual(done.map((m) => m.version), all.slice(-2).map((m) => m.version));
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('down --dry-run names the migrations it would revert and changes nothing', async () => {
+    const deleteOne = mock.fn(async () => {});
+    mock.method(Migration, 'find', () =>
+      query([{ version: '007', name: 'extract-post-comments', deleteOne }])
+    );
+
+    const done = await migrateDown(1, { dryRun: true });
+
+    assert.deepEqual(done.map((m) => m.version), ['007']);
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+});
+
+describe('007-extract-post-comments', () => {
+  const userA = id();
+  const userB = id();
+  let data;
+  let db;
+
+  beforeEach(() => {
+    data = {
+      posts: [
+        {
+          _id: id(),
+          comments: [
+            { _id: id(), user: userA, text: 'First', createdAt: new Date('2024-01-01') },
+            { _id: id(), user: userB, text: 'Second', createdAt: new Date('2024-01-02') },
+          ],
+        },
+        { _id: id(), comments: [] },
+      ],
+    };
+    db = fakeDb(data);
+  });
+
+  it('up moves embedded comments out, keeping ids, and counts them', async () => {
+    const [withComments] = data.posts;
+    const embedded = clone(withComments.comments);
+
+    await extractComments.up(db);
+
+    assert.deepEqual(
+      data.comments.map((c) => [String(c._id), String(c.post), c.text, c.parent]),
+      embedded.map((c) => [String(c._id), String(withComments._id), c.text, null])
+    );
+    assert.deepEqual(
+      data.posts.map((p) => [p.comments, p.commentCount]),
+      [[undefined, 2], [undefined, 0]]
+    );
+  });
+
+  it('up can be re-run without duplicating comments', async () => {
+    const before = clone(data.posts[0]);
+
+    await extractComments.up(db);
+    data.posts[0].comments = before.comments;
+    await extractComments.up(db);
+
+    assert.equal(data.comments.length, 2);
+  });
+
+  it('down puts comments back on their posts in order', async () => {
+    const original = clone(data.posts);
+
+    await extractComments.up(db);
+    await extractComments.down(db);
+
+    assert.deepEqual(
+      data.posts.map((p) => p.comments.map((c) => [String(c._id), c.text])),
+      original.map((p) => p.comments.map((c) => [String(c._id), c.text]))
+    );
+    assert.ok(data.posts.every((p) => !('commentCount' in p)));
+    assert.equal(data.comments.length, 0);
+  });
+});
+
+describe('008-post-likes-to-reactions', () => {
+  const userA = id();
+  const userB = id();
+  const likedAt = new Date('2024-02-01');
+  let data;
+  let db;
+
+  beforeEach(() => {
+    data = {
+      posts: [
+        { _id: id(), likes: [userA, userB], updatedAt: likedAt },
+        { _id: id(), likes: [], updatedAt: likedAt },
+        { _id: id(), updatedAt: likedAt },
+      ],
+    };
+    db = fakeDb(data);
+  });
+
+  it('up turns every like into a "like" reaction and counts per type', async () => {
+    await likesToReactions.up(db);
+
+    assert.deepEqual(
+      data.reactions.map((r) => [String(r.post), String(r.user), r.type, r.createdAt]),
+      [
+        [String(data.posts[0]._id), String(userA), 'like', likedAt],
+        [String(data.posts[0]._id), String(userB), 'like', likedAt],
+      ]
+    );
+    assert.deepEqual(data.posts[0].reactionCounts, { like: 2, love: 0, care: 0, dua: 0, sad: 0 });
+    assert.equal(data.posts[1].reactionCounts.like, 0);
+    assert.equal(data.posts[2].reactionCounts.like, 0);
+    assert.ok(data.posts.every((p) => !('likes' in p)));
+  });
+
+  it('down puts every reaction back into likes', async () => {
+    await likesToReactions.up(db);
+    data.reactions[1].type = 'love';
+
+    await likesToReactions.down(db);
+
+    assert.deepEqual(data.posts[0].likes.map(String), [String(userA), String(userB)]);
+    assert.deepEqual(data.posts[1].likes, []);
+    assert.ok(data.posts.every((p) => !('reactionCounts' in p)));
+    assert.equal(data.reactions.length, 0);
+  });
+
+  describe('through the migrator', () => {
+    let records;
+
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+      mongoose.connection.db = db;
+      records = [];
+
+      // Everything but 008 already applied
+      mock.method(Migration, 'distinct', async () =>
+        (await loadMigrations()).map((m) => m.version).filter((version) => version !== '008')
+      );
+      mock.method(Migration, 'create', async (data) => {
+        const record = {
+          ...data,
+          deleteOne: async () => records.splice(records.indexOf(record), 1),
+        };
+        records.push(record);
+      });
+      mock.method(Migration, 'find', () => query([...records].reverse()));
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+      mongoose.connection.db = undefined;
+    });
+
+    it('a dry run leaves the data alone', async () => {
+      const before = clone(data);
+
+      const done = await migrateUp({ dryRun: true });
+
+      assert.deepEqual(done.map((m) => m.version), ['008']);
+      assert.deepEqual(data, before);
+      assert.equal(records.length, 0);
+    });
+
+    it('up applies and records it, down reverts and forgets it', async () => {
+      await migrateUp();
+
+      assert.deepEqual(records.map((r) => r.version), ['008']);
+      assert.equal(data.reactions.length, 2);
+
+      const reverted = await migrateDown(1);
+
+      assert.deepEqual(reverted.map((m) => m.version), ['008']);
+      assert.equal(records.length, 0);
+      assert.deepEqual(data.posts[0].likes.map(String), [String(userA), String(userB)]);
+    });
+  });
+});
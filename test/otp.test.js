@@ -0,0 +1,296 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import authService from '../src/modules/auth/auth.service.js';
+import Otp from '../src/modules/auth/otp.model.js';
+import User from '../src/modules/auth/user.model.js';
+import LoginAttempt from '../src/modules/auth/loginAttempt.model.js';
+import { config } from '../src/config/env.js';
+import { query, httpError } from './helpers.js';
+
+describe('authService.consumeOtp', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let otp;
+
+  // Conditional updates applied to the stored code, like MongoDB would
+  const applyUpdate = async (filter, change) => {
+    if (filter.usedAt === null && otp.usedAt) return null;
+    if (filter.attempts && otp.attempts >= filter.attempts.$lt) return null;
+
+    if (change.$inc) otp.attempts += change.$inc.attempts;
+    if (change.usedAt) otp.usedAt = change.usedAt;
+    return otp;
+  };
+
+  beforeEach(() => {
+    otp = new Otp({
+      user: userId,
+      purpose: 'password_reset',
+      channel: 'sms',
+      codeHash: authService.hashOtp('123456'),
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+    });
+
+    // Every read gets its own copy, as parallel requests would
+    mock.method(Otp, 'findOne', () => query(Otp.hydrate(otp.toObject())));
+    mock.method(Otp, 'findOneAndUpdate', applyUpdate);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('consumes a correct code with a conditional update', async () => {
+    await authService.consumeOtp(userId, 'password_reset', '123456');
+
+    const [filter, change] = Otp.findOneAndUpdate.mock.calls.at(-1).arguments;
+    assert.deepEqual(filter, { _id: otp._id, usedAt: null });
+    assert.ok(change.usedAt instanceof Date);
+    assert.ok(otp.usedAt instanceof Date);
+  });
+
+  it('rejects a code that was consumed in parallel', async () => {
+    await Promise.all([
+      authService.consumeOtp(userId, 'password_reset', '123456'),
+      assert.rejects(authService.consumeOtp(userId, 'password_reset', '123456'), httpError(400)),
+    ]);
+  });
+
+  it('only looks up unused, unexpired codes', async () => {
+    await authService.consumeOtp(userId, 'password_reset', '123456');
+
+    const [filter] = Otp.findOne.mock.calls[0].arguments;
+    assert.equal(filter.usedAt, null);
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+  });
+
+  it('counts a wrong code against the attempt limit', async () => {
+    await assert.rejects(
+      authService.consumeOtp(userId, 'password_reset', '000000'),
+      httpError(400, /Invalid or expired code/)
+    );
+
+    assert.equal(otp.attempts, 1);
+    assert.equal(otp.usedAt, null);
+  });
+
+  it('refuses even the right code once attempts are used up', async () => {
+    otp.attempts = config.otp.maxAttempts;
+
+    await assert.rejects(
+      authService.consumeOtp(userId, 'password_reset', '123456'),
+      httpError(429)
+    );
+  });
+
+  it('parallel wrong guesses cannot go past the attempt limit', async () => {
+    const guesses = Array.from({ length: 20 }, (_, i) =>
+      authService
+        .consumeOtp(userId, 'password_reset', String(100000 + i))
+        .catch((error) => error.statusCode)
+    );
+
+    const results = await Promise.all(guesses);
+
+    assert.equal(results.filter((code) => code === 400).length, config.otp.maxAttempts);
+    assert.equal(results.filter((code) => code === 429).length, 20 - config.otp.maxAttempts);
+    assert.equal(otp.attempts, config.otp.maxAttempts);
+  });
+
+  it('rejects when there is no active code', async () => {
+    mock.method(Otp, 'findOne', () => query(null));
+
+    await assert.rejects(
+      authService.consumeOtp(userId, 'password_reset', '123456'),
+      httpError(400)
+    );
+  });
+});
+
+describe('authService.issueOtp', () => {
+  const user = new User({ name: 'Rahim', phone: '01700000000', password: 'secret1' });
+  const buildText = (code) => `Code ${code}`;
+
+  const sentMinutesAgo = (minutes, sequence) =>
+    new Otp({ sequence, createdAt: new Date(Date.now() - minutes * 60 * 1000) });
+
+  beforeEach(() => {
+    mock.method(Otp, 'create', async (data) => new Otp(data));
+    mock.method(Otp, 'updateMany', async () => ({}));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('keeps codes an hour, so the hourly limit sees every send', () => {
+    const ttl = Otp.schema.indexes().find(([, options]) => options.expireAfterSeconds);
+
+    assert.deepEqual(ttl[0], { createdAt: 1 });
+    assert.equal(ttl[1].expireAfterSeconds, 60 * 60);
+  });
+
+  it('refuses once maxSendsPerHour codes went out in the last hour', async () => {
+    const sent = [50, 40, 30, 20, 10].map((minutes, i) => sentMinutesAgo(minutes, 5 - i));
+    mock.method(Otp, 'find', () => query(sent));
+
+    await assert.rejects(
+      authService.issueOtp(user, 'password_reset', 'sms', buildText),
+      httpError(429, /Too many codes/)
+    );
+    assert.equal(Otp.create.mock.callCount(), 0);
+  });
+
+  it('sends again when the oldest send is more than an hour ago', async () => {
+    const sent = [70, 40, 30, 20, 10].map((minutes, i) => sentMinutesAgo(minutes, 5 - i));
+    mock.method(Otp, 'find', () => query(sent));
+
+    await authService.issueOtp(user, 'password_reset', 'sms', buildText);
+
+    assert.equal(Otp.create.mock.calls[0].arguments[0].sequence, 6);
+  });
+
+  it('a parallel request that lost the send slot sends nothing', async () => {
+    mock.method(Otp, 'find', () => query([sentMinutesAgo(5, 1)]));
+    mock.method(Otp, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+
+    await assert.rejects(
+      authService.issueOtp(user, 'password_reset', 'sms', buildText),
+      httpError(429)
+    );
+    assert.equal(Otp.updateMany.mock.callCount(), 0);
+    assert.equal(console.log.mock.callCount(), 0);
+  });
+
+  it('voids older codes but not the new one', async () => {
+    mock.method(Otp, 'find', () => query([]));
+
+    await authService.issueOtp(user, 'password_reset', 'sms', buildText);
+
+    const created = await Otp.create.mock.calls[0].result;
+    const [filter] = Otp.updateMany.mock.calls[0].arguments;
+    assert.equal(created.sequence, 1);
+    assert.equal(filter._id.$ne, created._id);
+  });
+});
+
+describe('authService.forgotPassword', () => {
+  const user = new User({ name: 'Rahim', phone: '01700000000', password: 'secret1' });
+
+  afterEach(() => mock.restoreAll());
+
+  it('answers the same for an unknown phone', async () => {
+    mock.method(User, 'findOne', () => query(null));
+    const issue = mock.method(authService, 'issueOtp', async () => {});
+
+    assert.equal(await authService.forgotPassword('01799999999'), undefined);
+    assert.equal(issue.mock.callCount(), 0);
+  });
+
+  it('hides cooldown / no-email errors of a real account', async () => {
+    mock.method(User, 'findOne', () => query(user));
+
+    for (const statusCode of [400, 429]) {
+      mock.method(authService, 'issueOtp', async () => {
+        throw Object.assign(new Error('nope'), { statusCode });
+      });
+
+      assert.equal(await authService.forgotPassword('01700000000', 'email'), undefined);
+    }
+  });
+
+  it('still surfaces unexpected failures', async () => {
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(authService, 'issueOtp', async () => {
+      throw new Error('gateway down');
+    });
+
+    await assert.rejects(authService.forgotPassword('01700000000'), /gateway down/);
+  });
+});
+
+describe('authService.resetPassword', () => {
+  const meta = { ip: '10.0.0.1' };
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Rahim', phone: '01700000000', password: 'secret1' });
+
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(User.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+    mock.method(LoginAttempt, 'lock', async () => null);
+    mock.method(LoginAttempt, 'clear', async () => {});
+    mock.method(LoginAttempt, 'release', async () => {});
+    mock.method(authService, 'logoutAll', async () => 0);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects values that are not text', async () => {
+    for (const args of [
+      ['01700000000', '123456', ['secret12']],
+      ['01700000000', '123456', { length: 10 }],
+      [{ $ne: null }, '123456', 'secret12'],
+      ['01700000000', { $gt: '' }, 'secret12'],
+    ]) {
+      await assert.rejects(authService.resetPassword(...args, meta), httpError(400));
+    }
+    assert.equal(LoginAttempt.claim.mock.callCount(), 0);
+  });
+
+  it('is refused while the phone or IP is throttled', async () => {
+    mock.method(LoginAttempt, 'claim', async (key) =>
+      key.startsWith('reset:phone:')
+        ? { locked: true, retryAfter: 900 }
+        : { locked: false, retryAfter: 0 }
+    );
+    const consume = mock.method(authService, 'consumeOtp', async () => {});
+
+    await assert.rejects(
+      authService.resetPassword('01700000000', '123456', 'secret12', meta),
+      httpError(429)
+    );
+    assert.equal(consume.mock.callCount(), 0);
+    assert.deepEqual(LoginAttempt.release.mock.calls[0].arguments, ['reset:ip:10.0.0.1']);
+  });
+
+  it('a wrong code counts towards the lock on both keys', async () => {
+    mock.method(authService, 'consumeOtp', async () => {
+      throw Object.assign(new Error('Invalid or expired code'), { statusCode: 400 });
+    });
+
+    await assert.rejects(
+      authService.resetPassword('01700000000', '000000', 'secret12', meta),
+      httpError(400)
+    );
+
+    assert.deepEqual(
+      LoginAttempt.lock.mock.calls.map((call) => call.arguments[0]),
+      ['reset:phone:01700000000', 'reset:ip:10.0.0.1']
+    );
+    assert.equal(authService.logoutAll.mock.callCount(), 0);
+  });
+
+  it('an unknown phone counts as a failure too', async () => {
+    mock.method(User, 'findOne', () => query(null));
+
+    await assert.rejects(
+      authService.resetPassword('01799999999', '123456', 'secret12', meta),
+      httpError(400, /Invalid or expired code/)
+    );
+    assert.equal(LoginAttempt.lock.mock.callCount(), 2);
+  });
+
+  it('a correct code sets the password and clears the phone key', async () => {
+    mock.method(authService, 'consumeOtp', async () => {});
+
+    await authService.resetPassword('01700000000', '123456', 'secret12', meta);
+
+    assert.equal(user.password, 'secret12');
+    assert.deepEqual(LoginAttempt.clear.mock.calls[0].arguments, ['reset:phone:01700000000']);
+    assert.equal(LoginAttempt.lock.mock.callCount(), 0);
+    assert.equal(authService.logoutAll.mock.callCount(), 1);
+  });
+});
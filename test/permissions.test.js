@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  hasPermission,
+  getUserPermissions,
+  ROLE_PERMISSIONS,
+} from '../src/config/permissions.js';
+import { requirePermission } from '../src/middleware/auth.middleware.js';
+import userAdminService from '../src/modules/auth/userAdmin.service.js';
+import authService from '../src/modules/auth/auth.service.js';
+import auditService from '../src/modules/audit/audit.service.js';
+import User from '../src/modules/auth/user.model.js';
+import { query, httpError } from './helpers.js';
+
+const actorWith = (role, extraPermissions = []) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role,
+  extraPermissions,
+  ip: '127.0.0.1',
+});
+
+describe('permission policy', () => {
+  it('gives roles their permissions and nothing more', () => {
+    assert.equal(hasPermission({ role: 'manager' }, 'report:moderate'), true);
+    assert.equal(hasPermission({ role: 'manager' }, 'user:manage'), false);
+    assert.equal(hasPermission({ role: 'user' }, 'post:announce'), false);
+    assert.equal(hasPermission(null, 'book:create'), false);
+  });
+
+  it('adds extra grants on top of the role', () => {
+    const user = { role: 'librarian', extraPermissions: ['donation:read-all'] };
+
+    assert.equal(hasPermission(user, 'donation:read-all'), true);
+    assert.deepEqual(
+      getUserPermissions(user).sort(),
+      [...ROLE_PERMISSIONS.librarian, 'donation:read-all'].sort()
+    );
+  });
+
+  it('requirePermission answers 403 when any permission is missing', () => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      },
+    };
+    const next = mock.fn();
+
+    requirePermission('book:create', 'book:delete')({ user: { role: 'librarian' } }, res, next);
+
+    assert.equal(res.statusCode, 403);
+    assert.match(res.body.message, /book:delete/);
+    assert.equal(next.mock.callCount(), 0);
+
+    requirePermission('book:create')({ user: { role: 'librarian' } }, res, next);
+    assert.equal(next.mock.callCount(), 1);
+  });
+});
+
+describe('userAdminService privilege escalation', () => {
+  let target;
+
+  beforeEach(() => {
+    target = new User({ name: 'Karim', phone: '01711111111', password: 'secret1', role: 'user' });
+
+    mock.method(User, 'findById', () => query(target));
+    mock.method(User, 'countDocuments', async () => 2);
+    mock.method(User.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(auditService, 'record', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('a user:manage holder cannot make anyone admin', async () => {
+    const actor = actorWith('manager', ['user:manage']);
+
+    await assert.rejects(
+      userAdminService.changeRole(target._id, 'admin', actor),
+      httpError(403)
+    );
+    assert.equal(target.role, 'user');
+  });
+
+  it('a user:manage holder cannot change an admin', async () => {
+    target.role = 'admin';
+    const actor = actorWith('manager', ['user:manage']);
+
+    await assert.rejects(
+      userAdminService.changeRole(target._id, 'user', actor),
+      httpError(403)
+    );
+  });
+
+  it('a role within the actor\'s own permissions can be assigned', async () => {
+    const actor = actorWith('manager', ['user:manage']);
+
+    await userAdminService.changeRole(target._id, 'librarian', actor);
+
+    assert.equal(target.role, 'librarian');
+  });
+
+  it('admins can promote to admin', async () => {
+    await userAdminService.changeRole(target._id, 'admin', actorWith('admin'));
+
+    assert.equal(target.role, 'admin');
+  });
+
+  it('a user:grant-permission holder cannot grant what they lack', async () => {
+    const actor = actorWith('user', ['user:grant-permission']);
+
+    await assert.rejects(
+      userAdminService.updatePermissions(target._id, { grant: ['user:manage'] }, actor),
+      httpError(403, /user:manage/)
+    );
+    assert.deepEqual([...target.extraPermissions], []);
+  });
+
+  it('permissions the actor holds can be granted', async () => {
+    const actor = actorWith('manager', ['user:grant-permission']);
+
+    await userAdminService.updatePermissions(target._id, { grant: ['donation:approve'] }, actor);
+
+    assert.deepEqual([...target.extraPermissions], ['donation:approve']);
+  });
+
+  it('a user:manage holder cannot suspend, reactivate or delete an admin', async () => {
+    target.role = 'admin';
+    const actor = actorWith('manager', ['user:manage']);
+    const logoutAll = mock.method(authService, 'logoutAll', async () => 0);
+
+    await assert.rejects(
+      userAdminService.suspendUser(target._id, { reason: 'Spam' }, actor),
+      httpError(403, /user:grant-permission/)
+    );
+    await assert.rejects(userAdminService.deleteUser(target._id, actor), httpError(403));
+
+    target.isActive = false;
+    await assert.rejects(userAdminService.reactivateUser(target._id, actor), httpError(403));
+
+    assert.equal(User.prototype.save.mock.callCount(), 0);
+    assert.equal(logoutAll.mock.callCount(), 0);
+    assert.equal(target.deletedAt, null);
+  });
+
+  it('a user:manage holder can still suspend and delete regular users', async () => {
+    const actor = actorWith('manager', ['user:manage']);
+    mock.method(authService, 'logoutAll', async () => 0);
+
+    await userAdminService.suspendUser(target._id, { reason: 'Spam' }, actor);
+    assert.equal(target.isActive, false);
+
+    await userAdminService.deleteUser(target._id, actor);
+    assert.ok(target.deletedAt instanceof Date);
+  });
+
+  it('nobody can change their own account', async () => {
+    const actor = actorWith('admin');
+
+    await assert.rejects(
+      userAdminService.changeRole(actor._id, 'user', actor),
+      httpError(400)
+    );
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import postService from '../src/modules/posts/post.service.js';
+import commentService from '../src/modules/posts/comment.service.js';
+import Comment from '../src/modules/posts/comment.model.js';
+import Post from '../src/modules/posts/post.model.js';
+import Block from '../src/modules/friends/block.model.js';
+import Friendship from '../src/modules/friends/friendship.model.js';
+import FriendList from '../src/modules/friends/friendList.model.js';
+import { query, httpError } from './helpers.js';
+
+describe('postService.canView', () => {
+  const authorId = new mongoose.Types.ObjectId();
+  const viewerId = new mongoose.Types.ObjectId();
+  const listId = new mongoose.Types.ObjectId();
+
+  let blocked;
+  let friends;
+  let inList;
+
+  const postWith = (fields) =>
+    new Post({ author: authorId, content: 'Assalamu alaikum', ...fields });
+
+  beforeEach(() => {
+    blocked = false;
+    friends = false;
+    inList = false;
+
+    mock.method(Block, 'isBlockedBetween', async () => blocked);
+    mock.method(Friendship, 'areFriends', async () => friends);
+    mock.method(FriendList, 'exists', async (filter) => {
+      assert.equal(filter._id, listId);
+      assert.equal(filter.members, viewerId);
+      return inList ? { _id: listId } : null;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('public posts are visible to everyone not blocked', async () => {
+    const post = postWith({ visibility: 'public' });
+
+    assert.equal(await postService.canView(post, viewerId), true);
+
+    blocked = true;
+    assert.equal(await postService.canView(post, viewerId), false);
+  });
+
+  it('friends posts need an accepted friendship', async () => {
+    const post = postWith({ visibility: 'friends' });
+
+    assert.equal(await postService.canView(post, viewerId), false);
+
+    friends = true;
+    assert.equal(await postService.canView(post, viewerId), true);
+  });
+
+  it('list posts need membership of the audience list', async () => {
+    const post = postWith({ visibility: 'list', audienceList: listId });
+    friends = true;
+
+    assert.equal(await postService.canView(post, viewerId), false);
+
+    inList = true;
+    assert.equal(await postService.canView(post, viewerId), true);
+  });
+
+  it('private posts are only for the author', async () => {
+    const post = postWith({ visibility: 'private' });
+    friends = true;
+
+    assert.equal(await postService.canView(post, viewerId), false);
+    assert.equal(await postService.canView(post, authorId), true);
+  });
+
+  it('posts hidden by a moderator are only for the author', async () => {
+    const post = postWith({ visibility: 'public', isHidden: true });
+
+    assert.equal(await postService.canView(post, viewerId), false);
+    assert.equal(await postService.canView(post, authorId), true);
+  });
+
+  it('works with a populated author', async () => {
+    const post = postWith({ visibility: 'private' });
+    post.author = { _id: authorId, name: 'Rahim' };
+
+    assert.equal(await postService.canView(post, authorId), true);
+  });
+
+  it('findViewablePost answers 404 for a post the viewer cannot see', async () => {
+    mock.method(Post, 'findById', () => query(postWith({ visibility: 'private' })));
+
+    await assert.rejects(
+      postService.findViewablePost(new mongoose.Types.ObjectId(), viewerId),
+      httpError(404, /Post not found/)
+    );
+  });
+});
+
+describe('commentService.addComment', () => {
+  const authorId = new mongoose.Types.ObjectId();
+  const viewerId = new mongoose.Types.ObjectId();
+  const post = new Post({ author: authorId, content: 'Assalamu alaikum', visibility: 'public' });
+
+  afterEach(() => mock.restoreAll());
+
+  it('a blocked user gets the same 404 as for a missing post', async () => {
+    mock.method(Post, 'findById', () => query(post));
+    mock.method(Block, 'isBlockedBetween', async () => true);
+    const create = mock.method(Comment, 'create', async () => {
+      throw new Error('comment must not be created');
+    });
+
+    await assert.rejects(
+      commentService.addComment(post._id, viewerId, 'Hello'),
+      httpError(404, /Post not found/)
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('replying to a blocked user\'s comment answers 404 like a missing comment', async () => {
+    const parent = new Comment({ post: post._id, user: new mongoose.Types.ObjectId(), text: 'Hi' });
+    mock.method(Post, 'findById', () => query(post));
+    mock.method(Comment, 'findOne', () => query(parent));
+    mock.method(Block, 'isBlockedBetween', async (a, b) => b === parent.user);
+
+    await assert.rejects(
+      commentService.addComment(post._id, viewerId, 'Hello', parent._id),
+      httpError(404, /Comment not found/)
+    );
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import authService from '../src/modules/auth/auth.service.js';
+import Session from '../src/modules/auth/session.model.js';
+import User from '../src/modules/auth/user.model.js';
+import { query, httpError } from './helpers.js';
+
+describe('authService.refreshTokens', () => {
+  const user = new User({
+    name: 'Rahim',
+    phone: '01700000000',
+    password: 'secret1',
+    isActive: true,
+  });
+
+  let session;
+  let refreshToken;
+
+  beforeEach(() => {
+    session = new Session({
+      user: user._id,
+      tokenHash: 'placeholder',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    refreshToken = authService.buildRefreshToken(session._id);
+    session.tokenHash = authService.hashToken(refreshToken);
+
+    mock.method(Session, 'findById', () => query(session));
+    mock.method(Session.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(User, 'findById', () => query(user));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rotates the token and remembers the old hash (capped)', async () => {
+    const rotate = mock.method(Session, 'findOneAndUpdate', async () => session);
+
+    const result = await authService.refreshTokens(refreshToken);
+
+    assert.ok(result.token);
+    assert.notEqual(result.refreshToken, refreshToken);
+    assert.ok(result.refreshToken.startsWith(`${session._id}.`));
+
+    const [filter, update] = rotate.mock.calls[0].arguments;
+    assert.equal(filter.tokenHash, session.tokenHash);
+    assert.equal(filter.revokedAt, null);
+    assert.deepEqual(update.$push.rotatedHashes.$each, [session.tokenHash]);
+    assert.ok(update.$push.rotatedHashes.$slice < 0);
+  });
+
+  it('revokes the whole session when a rotated token comes back', async () => {
+    const rotate = mock.method(Session, 'findOneAndUpdate', async () => session);
+    session.rotatedHashes = [authService.hashToken(refreshToken)];
+    session.tokenHash = 'hash-of-the-newer-token';
+
+    await assert.rejects(
+      authService.refreshTokens(refreshToken),
+      httpError(401, /reuse detected/)
+    );
+
+    assert.ok(session.revokedAt);
+    assert.equal(session.revokedReason, 'reuse_detected');
+    assert.equal(rotate.mock.callCount(), 0);
+  });
+
+  it('rejects the token when a parallel refresh already rotated it', async () => {
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(authService.refreshTokens(refreshToken), httpError(401));
+  });
+
+  it('rejects tokens of a revoked session', async () => {
+    session.revokedAt = new Date();
+
+    await assert.rejects(authService.refreshTokens(refreshToken), httpError(401));
+  });
+
+  it('rejects tokens of a suspended user', async () => {
+    mock.method(User, 'findById', () => query(new User({ ...user.toObject(), isActive: false })));
+
+    await assert.rejects(authService.refreshTokens(refreshToken), httpError(401));
+  });
+
+  it('rejects malformed tokens without a lookup', async () => {
+    const find = mock.method(Session, 'findById', () => query(session));
+
+    await assert.rejects(authService.refreshTokens('not-a-session.abc'), httpError(401));
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
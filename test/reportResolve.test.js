@@ -0,0 +1,186 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import reportService from '../src/modules/reports/report.service.js';
+import Report from '../src/modules/reports/report.model.js';
+import User from '../src/modules/auth/user.model.js';
+import Post from '../src/modules/posts/post.model.js';
+import userAdminService from '../src/modules/auth/userAdmin.service.js';
+import { query, httpError } from './helpers.js';
+
+const actorWith = (role) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role,
+  extraPermissions: [],
+  ip: '127.0.0.1',
+});
+
+describe('reportService.resolveReport', () => {
+  let report;
+  let reportedUser;
+  let related;
+
+  beforeEach(() => {
+    reportedUser = new User({ name: 'Karim', phone: '01711111111', password: 'secret1' });
+    report = new Report({
+      reporter: new mongoose.Types.ObjectId(),
+      targetType: 'post',
+      target: new mongoose.Types.ObjectId(),
+      targetUser: reportedUser._id,
+      reason: 'spam',
+    });
+    related = [];
+
+    mock.method(Report, 'findOneAndUpdate', async (filter, change) => {
+      Object.assign(report, change);
+      return report;
+    });
+    mock.method(Report, 'find', () => query(related));
+    mock.method(Report, 'updateMany', async () => ({}));
+    mock.method(Report, 'updateOne', async () => ({}));
+    mock.method(Report, 'findById', () => query(report));
+    mock.method(User, 'findById', () => query(reportedUser));
+    mock.method(userAdminService, 'suspendUser', async () => reportedUser);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('moderators without user:manage cannot warn or suspend', async () => {
+    for (const action of ['warn', 'suspend']) {
+      await assert.rejects(
+        reportService.resolveReport(report._id, { action }, actorWith('manager')),
+        httpError(403)
+      );
+    }
+
+    assert.equal(Report.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(userAdminService.suspendUser.mock.callCount(), 0);
+  });
+
+  it('moderators can still hide content', async () => {
+    const hide = mock.method(Post, 'updateOne', async () => ({}));
+
+    const result = await reportService.resolveReport(
+      report._id,
+      { action: 'hide' },
+      actorWith('manager')
+    );
+
+    assert.deepEqual(hide.mock.calls[0].arguments, [{ _id: report.target }, { isHidden: true }]);
+    assert.equal(result.report.status, 'resolved');
+  });
+
+  it('claims the report only while it is pending', async () => {
+    await reportService.resolveReport(report._id, { action: 'dismiss' }, actorWith('manager'));
+
+    const [filter, change] = Report.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: report._id, status: 'pending' });
+    assert.equal(change.status, 'dismissed');
+  });
+
+  it('a report someone else already handled is refused', async () => {
+    mock.method(Report, 'findOneAndUpdate', async () => null);
+    mock.method(Report, 'exists', async () => ({ _id: report._id }));
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, { action: 'suspend' }, actorWith('admin')),
+      httpError(400, /already been handled/)
+    );
+    assert.equal(userAdminService.suspendUser.mock.callCount(), 0);
+  });
+
+  it('a missing report is 404', async () => {
+    mock.method(Report, 'findOneAndUpdate', async () => null);
+    mock.method(Report, 'exists', async () => null);
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, { action: 'dismiss' }, actorWith('admin')),
+      httpError(404)
+    );
+  });
+
+  it('suspends the reported user and resolves every open report on the target', async () => {
+    related = [{ _id: new mongoose.Types.ObjectId(), reporter: new mongoose.Types.ObjectId() }];
+    const actor = actorWith('admin');
+
+    const result = await reportService.resolveReport(
+      report._id,
+      { action: 'suspend', note: '  Repeated spam  ' },
+      actor
+    );
+
+    const [targetId, data, by] = userAdminService.suspendUser.mock.calls[0].arguments;
+    assert.equal(targetId, reportedUser._id);
+    assert.equal(data.reason, 'Repeated spam');
+    assert.equal(by, actor);
+
+    const [filter, change] = Report.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter._id.$in, [related[0]._id]);
+    assert.equal(filter.status, 'pending');
+    assert.equal(change.status, 'resolved');
+    assert.equal(result.resolvedCount, 2);
+  });
+
+  it('an already suspended user still resolves the report', async () => {
+    reportedUser.isActive = false;
+
+    const result = await reportService.resolveReport(
+      report._id,
+      { action: 'suspend' },
+      actorWith('admin')
+    );
+
+    assert.equal(userAdminService.suspendUser.mock.callCount(), 0);
+    assert.equal(result.report.status, 'resolved');
+  });
+
+  it('a deleted user still resolves a warning', async () => {
+    reportedUser.deletedAt = new Date();
+    const warn = mock.method(reportService, 'warnUser', async () => {});
+
+    await reportService.resolveReport(report._id, { action: 'warn' }, actorWith('admin'));
+
+    assert.equal(warn.mock.callCount(), 0);
+    assert.equal(Report.updateOne.mock.callCount(), 0);
+  });
+
+  it('puts the report back in the queue when the action fails', async () => {
+    mock.method(userAdminService, 'suspendUser', async () => {
+      throw Object.assign(new Error('Cannot remove the last active admin'), { statusCode: 400 });
+    });
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, { action: 'suspend' }, actorWith('admin')),
+      httpError(400, /last active admin/)
+    );
+
+    const [filter, change] = Report.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: report._id });
+    assert.equal(change.status, 'pending');
+    assert.equal(Report.updateMany.mock.callCount(), 0);
+  });
+
+  it('a user:manage grant cannot warn an admin through a report', async () => {
+    reportedUser.role = 'admin';
+    const actor = { ...actorWith('manager'), extraPermissions: ['user:manage'] };
+    const save = mock.method(User.prototype, 'save', async function () {
+      return this;
+    });
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, { action: 'warn' }, actor),
+      httpError(403)
+    );
+
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(Report.updateOne.mock.calls[0].arguments[1].status, 'pending');
+  });
+
+  it('rejects a note that is not text', async () => {
+    await assert.rejects(
+      reportService.resolveReport(report._id, { action: 'dismiss', note: 1 }, actorWith('admin')),
+      httpError(400)
+    );
+  });
+});
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+/**
+ * Test Setup (loaded with --import before every test file)
+ *
+ * - Dummy config, so no .env file is needed
+ * - No database: tests mock the model methods they use,
+ *   anything left unmocked fails at once instead of waiting for a connection
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.MONGO_URI = 'mongodb://127.0.0.1:27017/foundation-test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.CLOUDINARY_CLOUD_NAME = 'test';
+process.env.CLOUDINARY_API_KEY = 'test';
+process.env.CLOUDINARY_API_SECRET = 'test';
+process.env.MESSAGE_SENDER = 'console';
+
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,125 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import twoFactorService from '../src/modules/auth/twoFactor.service.js';
+import accountService from '../src/modules/auth/account.service.js';
+import authService from '../src/modules/auth/auth.service.js';
+import LoginAttempt from '../src/modules/auth/loginAttempt.model.js';
+import User from '../src/modules/auth/user.model.js';
+import { query, httpError } from './helpers.js';
+
+describe('twoFactorService code checks', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Rahim', phone: '01700000000', password: 'secret1' });
+    user.twoFactor.enabled = true;
+
+    mock.method(User, 'findById', () => query(user));
+    mock.method(User.prototype, 'matchPassword', async (password) => password === 'secret1');
+    mock.method(LoginAttempt, 'clear', async () => {});
+    mock.method(LoginAttempt, 'lock', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('disable is refused while the 2fa key is throttled', async () => {
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: true, retryAfter: 900 }));
+    const verify = mock.method(twoFactorService, 'verifyCode', async () => true);
+
+    await assert.rejects(
+      twoFactorService.disable(user._id, 'secret1', '123456'),
+      httpError(429)
+    );
+    assert.equal(verify.mock.callCount(), 0);
+  });
+
+  it('a wrong code counts towards the lock on the login key', async () => {
+    const claim = mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+    mock.method(twoFactorService, 'verifyCode', async () => false);
+
+    await assert.rejects(
+      twoFactorService.regenerateRecoveryCodes(user._id, '000000'),
+      httpError(400)
+    );
+
+    assert.equal(claim.mock.calls[0].arguments[0], `2fa:${user._id}`);
+    assert.equal(LoginAttempt.lock.mock.calls[0].arguments[0], `2fa:${user._id}`);
+    assert.equal(LoginAttempt.clear.mock.callCount(), 0);
+  });
+
+  it('a wrong password counts as a failed attempt too', async () => {
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+
+    await assert.rejects(
+      twoFactorService.disable(new mongoose.Types.ObjectId(), 'wrong', '123456'),
+      httpError(401)
+    );
+    assert.equal(LoginAttempt.lock.mock.callCount(), 1);
+  });
+
+  it('a correct code clears the counter', async () => {
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+    mock.method(twoFactorService, 'verifyCode', async () => true);
+    mock.method(User, 'updateOne', async () => ({}));
+
+    const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(user._id, '123456');
+
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(LoginAttempt.clear.mock.callCount(), 1);
+  });
+});
+
+describe('accountService.deleteAccount code checks', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Rahim', phone: '01700000000', password: 'secret1' });
+    user.twoFactor.enabled = true;
+
+    mock.method(twoFactorService, 'getUserWithSecrets', async () => user);
+    mock.method(User.prototype, 'matchPassword', async (password) => password === 'secret1');
+    mock.method(authService, 'logoutAll', async () => {
+      throw new Error('account must not be deleted');
+    });
+    mock.method(LoginAttempt, 'clear', async () => {});
+    mock.method(LoginAttempt, 'lock', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('is refused while the 2fa key is throttled', async () => {
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: true, retryAfter: 900 }));
+    const verify = mock.method(twoFactorService, 'verifyCode', async () => true);
+
+    await assert.rejects(
+      accountService.deleteAccount(user._id, { password: 'secret1', code: '123456' }),
+      httpError(429)
+    );
+    assert.equal(verify.mock.callCount(), 0);
+  });
+
+  it('a wrong code counts towards the lock on the 2fa key', async () => {
+    const claim = mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+    mock.method(twoFactorService, 'verifyCode', async () => false);
+
+    await assert.rejects(
+      accountService.deleteAccount(user._id, { password: 'secret1', code: '000000' }),
+      httpError(400)
+    );
+
+    assert.equal(claim.mock.calls[0].arguments[0], `2fa:${user._id}`);
+    assert.equal(LoginAttempt.lock.mock.calls[0].arguments[0], `2fa:${user._id}`);
+    assert.equal(LoginAttempt.clear.mock.callCount(), 0);
+  });
+
+  it('a wrong password counts as a failed attempt too', async () => {
+    mock.method(LoginAttempt, 'claim', async () => ({ locked: false, retryAfter: 0 }));
+
+    await assert.rejects(
+      accountService.deleteAccount(user._id, { password: 'wrong', code: '123456' }),
+      httpError(401)
+    );
+    assert.equal(LoginAttempt.lock.mock.callCount(), 1);
+  });
+});
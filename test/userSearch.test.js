@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import authService from '../src/modules/auth/auth.service.js';
+import User, { buildSearchTokens } from '../src/modules/auth/user.model.js';
+import Block from '../src/modules/friends/block.model.js';
+import Friendship from '../src/modules/friends/friendship.model.js';
+import { transliterate, phoneticKey, phoneticKeys } from '../src/utils/transliterate.js';
+import { query, httpError } from './helpers.js';
+
+describe('transliterate / phoneticKeys', () => {
+  it('turns Bengali script into Latin letters', () => {
+    assert.equal(transliterate('রহিম'), 'rahim');
+  });
+
+  it('gives spelling and script variants of a name the same key', () => {
+    const keys = ['রহিম', 'Rahim', 'Rohim', 'Raheem'].map((name) => phoneticKey(name));
+
+    assert.deepEqual(new Set(keys), new Set(['rhm']));
+    assert.equal(phoneticKey('মোহাম্মদ'), phoneticKey('Muhammad'));
+    assert.equal(phoneticKey('Hossain'), phoneticKey('Hosain'));
+  });
+
+  it('keys every word once', () => {
+    assert.deepEqual(phoneticKeys('Rahim Uddin', 'rohim'), ['rhm', 'adn']);
+    assert.deepEqual(phoneticKeys('', null, '!!'), []);
+  });
+
+  it('search tokens leave out the email domain', () => {
+    const tokens = buildSearchTokens({ name: 'Rahim', email: 'karim@gmail.com' });
+
+    assert.deepEqual(tokens, [phoneticKey('Rahim'), phoneticKey('karim')]);
+  });
+});
+
+describe('authService.searchUsers', () => {
+  const viewer = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const blockedId = new mongoose.Types.ObjectId();
+  let candidates;
+  let phones = 0;
+
+  const member = (fields) =>
+    new User({ phone: `0170${String(phones++).padStart(7, '0')}`, password: 'secret1', ...fields });
+
+  beforeEach(() => {
+    candidates = [];
+
+    mock.method(Block, 'getBlockedIds', async () => [blockedId]);
+    mock.method(User, 'aggregate', async () => candidates.map((user) => ({ _id: user._id })));
+    mock.method(User, 'find', () => query(candidates));
+    mock.method(Friendship, 'getStatusesAmong', async () => new Map());
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('matches by indexed prefixes only, never blocked users or the viewer', async () => {
+    await authService.searchUsers({ q: 'Rohim Ud(' }, viewer);
+
+    const [{ $match: filter }] = User.aggregate.mock.calls[0].arguments[0];
+    assert.equal(filter._id.$ne, viewer._id);
+    assert.deepEqual(filter._id.$nin, [blockedId]);
+    assert.equal(filter.isActive, true);
+    assert.deepEqual(filter.$or, [
+      {
+        $and: [
+          { searchTokens: { $regex: '^rhm' } },
+          { searchTokens: { $regex: '^ad' } },
+        ],
+      },
+      { email: { $regex: '^rohim ud\\(' } },
+      { phone: { $regex: '^Rohim Ud\\(' } },
+    ]);
+  });
+
+  it('ranks name matches before other fields, exact before prefix before phonetic', async () => {
+    candidates = [
+      member({ name: 'Karim', area: 'Rahimpur' }),
+      member({ name: 'Rohim Mia' }),
+      member({ name: 'Rahimul Islam' }),
+      member({ name: 'Rahim' }),
+      member({ name: 'Selim', bio: 'Friends call me Rahim' }),
+    ];
+
+    const { users } = await authService.searchUsers({ q: 'rahim' }, viewer);
+
+    assert.deepEqual(
+      users.map((user) => user.name),
+      ['Rahim', 'Rahimul Islam', 'Karim', 'Rohim Mia', 'Selim']
+    );
+  });
+
+  it('a match on a field hidden from the viewer is not a match', async () => {
+    const hidden = member({ name: 'Karim', email: 'rahim@example.com' });
+    const shown = member({ name: 'Selim', email: 'rahim.s@example.com' });
+    shown.privacy.email = 'public';
+    candidates = [hidden, shown];
+
+    const { users, pagination } = await authService.searchUsers({ q: 'rahim' }, viewer);
+
+    assert.deepEqual(users.map((user) => user.name), ['Selim']);
+    assert.equal(pagination.total, 1);
+  });
+
+  it('friends see (and match on) friends-only fields', async () => {
+    const friend = member({ name: 'Karim', email: 'rahim@example.com' });
+    candidates = [friend];
+    mock.method(Friendship, 'getStatusesAmong', async () =>
+      new Map([[friend._id.toString(), { status: 'accepted', requestedByMe: true }]])
+    );
+
+    const { users } = await authService.searchUsers({ q: 'rahim' }, viewer);
+
+    assert.equal(users.length, 1);
+    assert.equal(users[0].email, 'rahim@example.com');
+    assert.equal(users[0].friendshipStatus, 'accepted');
+    assert.equal(users[0].friendRequestSentByMe, true);
+  });
+
+  it('pages the ranked list and flags a capped candidate set', async () => {
+    candidates = Array.from({ length: 200 }, (_, i) => member({ name: `Rahim ${i}` }));
+
+    const { users, pagination } = await authService.searchUsers(
+      { q: 'rahim', page: '2', limit: '50' },
+      viewer
+    );
+
+    assert.equal(users.length, 50);
+    assert.equal(pagination.total, 200);
+    assert.equal(pagination.pages, 4);
+    assert.equal(pagination.capped, true);
+  });
+
+  it('filters by role and rejects unknown roles', async () => {
+    await authService.searchUsers({ q: 'rahim', role: 'librarian' }, viewer);
+    assert.equal(User.aggregate.mock.calls[0].arguments[0][0].$match.role, 'librarian');
+
+    await assert.rejects(
+      authService.searchUsers({ q: 'rahim', role: 'owner' }, viewer),
+      httpError(400)
+    );
+  });
+
+  it('an empty or non-text query returns nothing without querying', async () => {
+    for (const q of ['  ', ['rahim'], undefined]) {
+      const { users } = await authService.searchUsers({ q }, viewer);
+      assert.deepEqual(users, []);
+    }
+    assert.equal(User.aggregate.mock.callCount(), 0);
+  });
+});